@@ -1,182 +1,812 @@
 // steam_worker/server.js
 
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 const express = require('express');
 const WorkerLogic = require('./src/worker_logic');
+const JobManager = require('./src/job_manager');
+const SessionLimiter = require('./src/session_limiter');
+const SessionPool = require('./src/session_pool');
+const DrainManager = require('./src/drain_manager');
+const WorkerMetrics = require('./src/worker_metrics');
+const InviteLedger = require('./src/invite_ledger');
+const { friendLimitForLevel } = require('./src/friend_limit');
+const { ErrorPolicy } = require('./src/error_policy');
+const { validate, UNKNOWN_FIELD_POLICIES } = require('./src/schema_validator');
+const { processInvitesSchema, planSchema, friendsSchema, cleanupSchema } = require('./src/request_schemas');
+const { Logger, redact, credentialSecrets, childLogger } = require('./src/logger');
 require('dotenv').config();
 
-const app = express();
 const PORT = process.env.STEAM_WORKER_PORT || 3003;
-const API_KEY = process.env.LINK_HARVESTER_API_KEY;
 
-// Middleware
-app.use(express.json({ limit: '10mb' }));
+// Default logger (JSON lines)
+const defaultLogger = new Logger({
+  level: process.env.STEAM_WORKER_LOG_LEVEL || 'info'
+});
 
-// Logger
-const logger = {
-  info: (msg) => console.log(`[${new Date().toISOString()}] [STEAM_WORKER] INFO: ${msg}`),
-  warn: (msg) => console.log(`[${new Date().toISOString()}] [STEAM_WORKER] WARN: ${msg}`),
-  error: (msg) => console.log(`[${new Date().toISOString()}] [STEAM_WORKER] ERROR: ${msg}`),
-  debug: (msg) => console.log(`[${new Date().toISOString()}] [STEAM_WORKER] DEBUG: ${msg}`)
-};
+// Accepted X-Request-Id values (anything else is replaced by a generated id)
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
 
-// API Key authentication middleware
-const authenticateApiKey = (req, res, next) => {
-  const providedKey = req.headers['x-api-key'];
-  
-  if (!providedKey) {
-    logger.warn('Request without API key');
-    return res.status(401).json({
-      success: false,
-      error: 'API key required'
-    });
-  }
-  
-  if (providedKey !== API_KEY) {
-    logger.warn('Request with invalid API key');
-    return res.status(403).json({
-      success: false,
-      error: 'Invalid API key'
-    });
+/**
+ * Build the Express application
+ *
+ * @param {Object} config - App configuration
+ * @param {string} config.apiKey - Expected X-API-Key value
+ * @param {Object} config.logger - Logger instance
+ * @param {Object} config.workerOptions - Passed to WorkerLogic (e.g. connectorOptions.clientFactory)
+ * @param {number} config.jobRetentionMs - How long finished jobs are kept
+ * @param {string} config.unknownFields - Unknown request field policy: allow, strip or reject
+ * @param {Object} config.sessionLimits - SessionLimiter options (maxSessions, accountLockMode, retryAfterSeconds)
+ * @param {Object} config.sessionPool - SessionPool options (idleTtlMs, maxSize defaults to maxSessions); warm sessions are disabled if omitted
+ * @param {Object} config.drain - DrainManager options (gracePeriodMs)
+ * @param {Object} config.ledger - InviteLedger options (filePath, flushDelayMs); no ledger if omitted
+ * @param {Object} config.errorPolicy - Invite eresult policy overrides (see error_policy.js); requests may override further
+ * @returns {Object} Express app (job store, limiter, session pool, drain manager, metrics and ledger in app.locals)
+ */
+function createApp(config = {}) {
+  const apiKey = config.apiKey;
+  const logger = config.logger || defaultLogger;
+  let workerOptions = config.workerOptions || {};
+  const unknownFields = config.unknownFields || 'allow';
+
+  if (!UNKNOWN_FIELD_POLICIES.includes(unknownFields)) {
+    throw new Error(`Invalid unknown field policy: ${unknownFields} (expected ${UNKNOWN_FIELD_POLICIES.join(', ')})`);
   }
-  
-  next();
-};
 
-// Health check endpoint (no auth required)
-app.get('/api/steam/health', (req, res) => {
-  res.json({
-    success: true,
-    status: 'healthy',
-    timestamp: new Date().toISOString(),
-    worker_id: process.env.RENDER_SERVICE_NAME || 'local',
-    port: PORT
+  const app = express();
+
+  // Middleware
+  app.use(express.json({ limit: '10mb' }));
+
+  // Request correlation: every log line of a request carries its id, and its
+  // credentials are redacted from logs and error responses
+  app.use((req, res, next) => {
+    const providedId = req.get('x-request-id');
+    req.requestId = providedId && REQUEST_ID_PATTERN.test(providedId) ? providedId : crypto.randomUUID();
+    req.secrets = credentialSecrets(req.body && req.body.credentials);
+    req.logger = childLogger(logger, { request_id: req.requestId }, req.secrets);
+    res.set('X-Request-Id', req.requestId);
+    next();
   });
-});
 
-// Main processing endpoint
-app.post('/api/steam/process-invites', authenticateApiKey, async (req, res) => {
-  const startTime = Date.now();
-  logger.info('Received process-invites request');
+  // Async job store
+  const jobManager = new JobManager(logger, {
+    retentionMs: config.jobRetentionMs
+  });
+  app.locals.jobManager = jobManager;
+
+  // Per-account locks and worker-wide session cap
+  const sessionLimiter = new SessionLimiter(logger, config.sessionLimits);
+  app.locals.sessionLimiter = sessionLimiter;
+
+  // Warm Steam sessions reused across requests (optional, at most one per session slot)
+  const sessionPool = config.sessionPool && config.sessionPool.idleTtlMs
+    ? new SessionPool(logger, { maxSize: sessionLimiter.maxSessions, ...config.sessionPool })
+    : null;
+  app.locals.sessionPool = sessionPool;
+
+  if (sessionPool) {
+    workerOptions = {
+      ...workerOptions,
+      connectorOptions: { ...workerOptions.connectorOptions, sessionPool }
+    };
+  }
+
+  // Sent-invite ledger for oldest-first cleanup (optional)
+  const inviteLedger = config.ledger ? new InviteLedger(logger, config.ledger) : null;
+  app.locals.inviteLedger = inviteLedger;
+
+  if (inviteLedger) {
+    workerOptions = { ...workerOptions, inviteLedger };
+  }
+
+  // Deployment-wide invite error policy (throws on an invalid table)
+  if (config.errorPolicy) {
+    workerOptions = { ...workerOptions, errorPolicy: new ErrorPolicy(config.errorPolicy) };
+  }
+
+  // In-flight batch tracking for graceful shutdown
+  const drainManager = new DrainManager(logger, config.drain);
+  app.locals.drainManager = drainManager;
+
+  // Prometheus metrics
+  const metrics = new WorkerMetrics({ sessionLimiter, jobManager });
+  app.locals.metrics = metrics;
+
+  // API Key authentication middleware
+  const authenticateApiKey = (req, res, next) => {
+    const providedKey = req.headers['x-api-key'];
   
-  try {
-    // Validate request body
-    const { account, credentials, targets, options } = req.body;
-    
-    if (!account || !credentials || !targets || !options) {
-      logger.warn('Invalid request: missing required fields');
-      return res.status(400).json({
+    if (!providedKey) {
+      req.logger.warn('Request without API key');
+      return res.status(401).json({
         success: false,
-        error: 'Missing required fields: account, credentials, targets, options'
+        error: 'API key required'
       });
     }
-    
-    if (!Array.isArray(targets) || targets.length === 0) {
-      logger.warn('Invalid request: targets must be non-empty array');
-      return res.status(400).json({
+  
+    if (providedKey !== apiKey) {
+      req.logger.warn('Request with invalid API key');
+      return res.status(403).json({
         success: false,
-        error: 'Targets must be a non-empty array'
+        error: 'Invalid API key'
       });
     }
-    
-    // Validate credentials
-    if (!credentials.username || !credentials.password || !credentials.sharedSecret) {
-      logger.warn('Invalid request: incomplete credentials');
-      return res.status(400).json({
+  
+    next();
+  };
+
+  /**
+   * Refuse new work once draining has started
+   */
+  const rejectWhenDraining = (req, res, next) => {
+    if (drainManager.draining) {
+      res.set('Retry-After', String(sessionLimiter.retryAfterSeconds));
+      return res.status(503).json({
         success: false,
-        error: 'Incomplete credentials (username, password, sharedSecret required)'
+        error: 'Worker is shutting down, not accepting new work'
       });
     }
-    
-    logger.info(`Processing request for account: ${account.username || account.steam_login}`);
-    logger.info(`Targets: ${targets.length}, Max batch: ${options.max_invites_per_batch || 30}`);
-    
-    // Initialize worker logic
-    const worker = new WorkerLogic(logger);
-    
-    // Process invites
-    const result = await worker.processInvites({
-      account,
-      credentials,
-      targets,
-      options
+
+    next();
+  };
+
+  // Prometheus metrics (no auth required, like health)
+  app.get('/metrics', (req, res) => {
+    res.set('Content-Type', WorkerMetrics.CONTENT_TYPE);
+    res.send(metrics.render());
+  });
+
+  // Health check endpoint (no auth required, 503 while draining)
+  app.get('/api/steam/health', (req, res) => {
+    res.status(drainManager.draining ? 503 : 200).json({
+      success: true,
+      status: drainManager.draining ? 'draining' : 'healthy',
+      timestamp: new Date().toISOString(),
+      worker_id: process.env.RENDER_SERVICE_NAME || 'local',
+      port: PORT,
+      sessions: sessionLimiter.getStats(),
+      drain: drainManager.getStats()
     });
-    
+  });
+
+  /**
+   * Validate a request body against a schema
+   * Sends a 400 listing every violation and returns false if invalid
+   */
+  const validateBody = (schema, req, res) => {
+    const { valid, violations } = validate(schema, req.body, { unknownFields });
+
+    if (valid) {
+      return true;
+    }
+
+    req.logger.warn(`Invalid request: ${violations.map(v => `${v.path} ${v.message}`).join('; ')}`);
+    res.status(400).json({
+      success: false,
+      error: `Invalid request body (${violations.length} violation${violations.length === 1 ? '' : 's'})`,
+      violations
+    });
+
+    return false;
+  };
+
+  /**
+   * Idle pooled sessions stay logged on, so they count toward maxSessions:
+   * log off the least recently used ones until a new session fits the cap
+   * (the account's own idle session is kept, its batch reuses it)
+   */
+  const makeRoomForSession = (username) => {
+    if (!sessionPool) {
+      return;
+    }
+
+    while (sessionLimiter.admitted < sessionLimiter.maxSessions &&
+      sessionLimiter.admitted + sessionPool.idleCount(username) >= sessionLimiter.maxSessions) {
+      sessionPool.evictLeastRecentlyUsed(username, `session cap reached (${sessionLimiter.maxSessions})`);
+    }
+  };
+
+  /**
+   * Admit a request through the session limiter
+   * Sends 409 (account busy) or 429 (session cap) and returns null if refused
+   */
+  const admitRequest = (req, res) => {
+    makeRoomForSession(req.body.credentials.username);
+    const admission = sessionLimiter.admit(req.body.credentials.username);
+
+    if (admission.admitted) {
+      return admission.ticket;
+    }
+
+    if (admission.retryAfterSeconds) {
+      res.set('Retry-After', String(admission.retryAfterSeconds));
+    }
+
+    res.status(admission.status).json({
+      success: false,
+      error: admission.error
+    });
+
+    return null;
+  };
+
+  /**
+   * Redact credentials from a whole result (Steam error texts in failures,
+   * attempt history or login errors may echo them). `account_updates` is
+   * kept as is: it hands the newly issued refresh token back on purpose
+   */
+  const redactResult = (result, secrets) => {
+    const redacted = redact(result, secrets);
+
+    if (result.account_updates !== undefined) {
+      redacted.account_updates = result.account_updates;
+    }
+
+    return redacted;
+  };
+
+  /**
+   * Run a process-invites batch and attach worker metadata to the result
+   * The admission ticket is held for the whole batch and always released;
+   * `onStarted` is called once the account lock is acquired
+   * The result and error messages are redacted before they reach the response
+   */
+  const runProcessInvites = async (req, ticket, onEvent = null, signal = null, onStarted = null) => {
+    const startTime = Date.now();
+    const { account, credentials, targets, options } = req.body;
+    const requestLogger = req.logger;
+    let result;
+
+    try {
+      // Initialize worker logic (connector and cleaner log with the request id)
+      const worker = new WorkerLogic(requestLogger, {
+        ...workerOptions,
+        onEvent: (event) => {
+          metrics.recordEvent(event);
+          if (onEvent) {
+            onEvent(event);
+          }
+        }
+      });
+
+      // Wait for our turn on this account (queued behind a running batch)
+      if (!await ticket.acquire(signal)) {
+        requestLogger.warn('Cancelled while queued for the account lock');
+        result = worker.buildQueuedCancelledResult({ account, targets, signal });
+      } else {
+        if (onStarted) {
+          onStarted();
+        }
+        requestLogger.info(`Processing request for account: ${account.username || account.steam_login}`);
+        requestLogger.info(`Targets: ${targets.length}, Max batch: ${options.max_invites_per_batch || 30}`);
+
+        result = await worker.processInvites({
+          account,
+          credentials,
+          targets,
+          options,
+          signal
+        });
+      }
+    } catch (error) {
+      error.message = redact(error.message, req.secrets);
+      throw error;
+    } finally {
+      ticket.release();
+    }
+
+    result = redactResult(result, req.secrets);
+
     const processingTime = Date.now() - startTime;
-    logger.info(`Request processed in ${processingTime}ms: success=${result.success}, ` +
+    // Only jobs record events, sync requests pass no listener
+    metrics.recordResult(result, onEvent ? 'job' : 'sync', processingTime, 'process_invites');
+    requestLogger.info(`Request processed in ${processingTime}ms: success=${result.success}, ` +
       `successful=${result.results.successful.length}, failed=${result.results.failed.length}`);
-    
+
     // Add worker metadata to response
     result.worker_info = {
       worker_id: process.env.RENDER_SERVICE_NAME || 'local',
+      request_id: req.requestId,
       processing_time_ms: processingTime,
       timestamp: new Date().toISOString()
     };
+
+    return result;
+  };
+
+  // Main processing endpoint
+  app.post('/api/steam/process-invites', authenticateApiKey, rejectWhenDraining, async (req, res) => {
+    const startTime = Date.now();
+    req.logger.info('Received process-invites request');
+  
+    try {
+      // Validate request body
+      if (!validateBody(processInvitesSchema, req, res)) {
+        return;
+      }
+
+      const ticket = admitRequest(req, res);
+      if (!ticket) {
+        return;
+      }
     
-    res.json(result);
+      // Aborted only if a drain outlives its grace period
+      const abortController = new AbortController();
+      const result = await drainManager.track(abortController, () => runProcessInvites(
+        req,
+        ticket,
+        null,
+        abortController.signal
+      ));
     
-  } catch (error) {
-    const processingTime = Date.now() - startTime;
-    logger.error(`Request failed after ${processingTime}ms: ${error.message}`);
-    logger.error(`Stack: ${error.stack}`);
+      res.json(result);
+    
+    } catch (error) {
+      const processingTime = Date.now() - startTime;
+      req.logger.error(`Request failed after ${processingTime}ms: ${error.message}`);
+      req.logger.error(`Stack: ${error.stack}`);
     
+      res.status(500).json({
+        success: false,
+        error: redact(error.message, req.secrets),
+        worker_info: {
+          worker_id: process.env.RENDER_SERVICE_NAME || 'local',
+          request_id: req.requestId,
+          processing_time_ms: processingTime,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  });
+
+  // Stateless capacity planning (no Steam login, not subject to drain or session limits)
+  app.post('/api/steam/plan', authenticateApiKey, (req, res) => {
+    if (!validateBody(planSchema, req, res)) {
+      return;
+    }
+
+    const { account, requested_count: requestedCount } = req.body;
+    const limits = {
+      ...WorkerLogic.CAPACITY_DEFAULTS,
+      max_overall_slots: friendLimitForLevel(account.steam_level),
+      ...req.body.limits
+    };
+    const worker = new WorkerLogic(req.logger, workerOptions);
+    const capacity = worker.calculateAccountCapacity(account, requestedCount, limits);
+
+    const overallSlots = account.overall_friend_slots;
+
+    res.json({
+      success: true,
+      requested_count: requestedCount,
+      ...capacity,
+      projected_overall_slots: overallSlots === null
+        ? null
+        : overallSlots - capacity.cleanup_needed + capacity.max_sendable,
+      limits
+    });
+  });
+
+  /**
+   * Handle a synchronous single-account operation (log in, act, log off)
+   * Validation, admission, drain tracking, redaction, metrics and worker_info
+   * are shared; `operation(worker, body, signal)` returns the result object
+   *
+   * @param {string} name - Operation name for logs
+   * @param {string} metricsOperation - `operation` label of the request metrics
+   */
+  const handleAccountOperation = (name, metricsOperation, schema, operation) => async (req, res) => {
+    const startTime = Date.now();
+    req.logger.info(`Received ${name} request`);
+
+    try {
+      if (!validateBody(schema, req, res)) {
+        return;
+      }
+
+      const ticket = admitRequest(req, res);
+      if (!ticket) {
+        return;
+      }
+
+      const abortController = new AbortController();
+      let result = await drainManager.track(abortController, async () => {
+        try {
+          const worker = new WorkerLogic(req.logger, {
+            ...workerOptions,
+            onEvent: (event) => metrics.recordEvent(event)
+          });
+
+          if (!await ticket.acquire(abortController.signal)) {
+            req.logger.warn('Cancelled while queued for the account lock');
+            return {
+              success: false,
+              cancelled: true,
+              cancel_reason: worker.getCancelReason(abortController.signal),
+              error: 'Cancelled while queued for the account lock'
+            };
+          }
+
+          return await operation(worker, req.body, abortController.signal);
+        } finally {
+          ticket.release();
+        }
+      });
+
+      result = redactResult(result, req.secrets);
+
+      const processingTime = Date.now() - startTime;
+      metrics.recordResult(result, 'sync', processingTime, metricsOperation);
+
+      result.worker_info = {
+        worker_id: process.env.RENDER_SERVICE_NAME || 'local',
+        request_id: req.requestId,
+        processing_time_ms: processingTime,
+        timestamp: new Date().toISOString()
+      };
+
+      res.json(result);
+
+    } catch (error) {
+      req.logger.error(`${name} request failed: ${error.message}`);
+
+      res.status(500).json({
+        success: false,
+        error: redact(error.message, req.secrets),
+        worker_info: {
+          worker_id: process.env.RENDER_SERVICE_NAME || 'local',
+          request_id: req.requestId,
+          processing_time_ms: Date.now() - startTime,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  };
+
+  // Friends-list snapshot (logs in with the supplied credentials, then logs off)
+  app.post('/api/steam/friends', authenticateApiKey, rejectWhenDraining, handleAccountOperation(
+    'friends snapshot',
+    'friends',
+    friendsSchema,
+    (worker, body, signal) => worker.getFriendsSnapshot({
+      credentials: body.credentials,
+      includePersonas: body.include_personas !== false,
+      signal
+    })
+  ));
+
+  // Standalone cleanup (frees slots ahead of time, outside a send batch)
+  app.post('/api/steam/cleanup', authenticateApiKey, rejectWhenDraining, handleAccountOperation(
+    'cleanup',
+    'cleanup',
+    cleanupSchema,
+    (worker, body, signal) => worker.cleanupAccount({
+      credentials: body.credentials,
+      slotsToFree: body.slots_to_free,
+      targetTotalSlots: body.target_total_slots,
+      oldestPendingInvites: body.oldest_pending_invites,
+      cleanupPolicy: body.cleanup_policy,
+      signal
+    })
+  ));
+
+  // Asynchronous job submission (same body as process-invites)
+  app.post('/api/steam/jobs', authenticateApiKey, rejectWhenDraining, (req, res) => {
+    req.logger.info('Received job submission');
+
+    if (!validateBody(processInvitesSchema, req, res)) {
+      return;
+    }
+
+    const ticket = admitRequest(req, res);
+    if (!ticket) {
+      return;
+    }
+
+    const { account } = req.body;
+    const job = jobManager.submit((job) => drainManager.track(job.abortController, () => runProcessInvites(
+      req,
+      ticket,
+      // Events are buffered and streamed, so they get the same redaction as responses
+      (event) => jobManager.recordEvent(job, redact(event, req.secrets)),
+      job.abortController.signal,
+      // Queued behind another batch of the account until the lock is ours
+      () => jobManager.markStarted(job)
+    )), {
+      account: account.username || account.steam_login,
+      request_id: req.requestId
+    });
+
+    res.status(202).json({
+      success: true,
+      job_id: job.id,
+      status: job.status,
+      status_url: `/api/steam/jobs/${job.id}`,
+      events_url: `/api/steam/jobs/${job.id}/events`
+    });
+  });
+
+  // Job status and result
+  app.get('/api/steam/jobs/:id', authenticateApiKey, (req, res) => {
+    const job = jobManager.get(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    jobManager.markRetrieved(job);
+    res.json({
+      success: true,
+      ...jobManager.toJSON(job)
+    });
+  });
+
+  // Cancel a queued or running job
+  app.delete('/api/steam/jobs/:id', authenticateApiKey, (req, res) => {
+    const job = jobManager.get(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    if (!jobManager.cancel(job)) {
+      return res.status(409).json({
+        success: false,
+        error: `Job already finished (status: ${job.status})`
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      job_id: job.id,
+      status: 'cancelling',
+      status_url: `/api/steam/jobs/${job.id}`
+    });
+  });
+
+  // Live job progress (Server-Sent Events)
+  app.get('/api/steam/jobs/:id/events', authenticateApiKey, (req, res) => {
+    const job = jobManager.get(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const writeEvent = (type, data) => {
+      res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    const unsubscribe = jobManager.subscribe(
+      job,
+      (event) => writeEvent(event.type, event),
+      (finishedJob) => {
+        jobManager.markRetrieved(finishedJob);
+        writeEvent('end', jobManager.toJSON(finishedJob));
+        res.end();
+      }
+    );
+
+    req.on('close', unsubscribe);
+  });
+
+  /**
+   * Reject session pool requests when pooling is disabled
+   */
+  const requireSessionPool = (req, res, next) => {
+    if (!sessionPool) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session pool is disabled'
+      });
+    }
+
+    next();
+  };
+
+  // List pooled Steam sessions
+  app.get('/api/steam/sessions', authenticateApiKey, requireSessionPool, (req, res) => {
+    res.json({
+      success: true,
+      idle_ttl_ms: sessionPool.idleTtlMs,
+      max_size: sessionPool.maxSize,
+      sessions: sessionPool.list()
+    });
+  });
+
+  // Force-close every pooled session
+  app.delete('/api/steam/sessions', authenticateApiKey, requireSessionPool, (req, res) => {
+    res.json({
+      success: true,
+      sessions: sessionPool.closeAll()
+    });
+  });
+
+  // Force-close the pooled session of one account
+  app.delete('/api/steam/sessions/:username', authenticateApiKey, requireSessionPool, (req, res) => {
+    const status = sessionPool.close(req.params.username);
+
+    if (!status) {
+      return res.status(404).json({
+        success: false,
+        error: 'No pooled session for this account'
+      });
+    }
+
+    res.json({
+      success: true,
+      username: req.params.username,
+      status
+    });
+  });
+
+  // Ledger entries of an account (oldest invite first)
+  app.get('/api/steam/ledger/:username', authenticateApiKey, (req, res) => {
+    if (!inviteLedger) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invite ledger is disabled'
+      });
+    }
+
+    const invites = inviteLedger.list(req.params.username);
+
+    res.json({
+      success: true,
+      username: req.params.username,
+      count: invites.length,
+      invites
+    });
+  });
+
+  // Error handling middleware
+  app.use((err, req, res, next) => {
+    const requestLogger = req.logger || logger;
+    requestLogger.error(`Unhandled error: ${err.message}`);
+    requestLogger.error(`Stack: ${err.stack}`);
+  
     res.status(500).json({
       success: false,
-      error: error.message,
+      error: 'Internal server error',
       worker_info: {
         worker_id: process.env.RENDER_SERVICE_NAME || 'local',
-        processing_time_ms: processingTime,
+        request_id: req.requestId || null,
         timestamp: new Date().toISOString()
       }
     });
+  });
+
+  // 404 handler
+  app.use((req, res) => {
+    res.status(404).json({
+      success: false,
+      error: 'Endpoint not found'
+    });
+  });
+
+  return app;
+}
+
+/**
+ * Read an integer environment variable (0 is a valid value)
+ */
+const readIntEnv = (name, defaultValue) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? defaultValue : value;
+};
+
+/**
+ * Read the JSON file named by an environment variable (undefined if unset)
+ * A missing, unparsable or invalid file (`validate` throws) stops startup
+ * with an error naming the variable
+ */
+const readJsonEnvFile = (name, validate = () => {}) => {
+  const filePath = process.env[name];
+
+  if (!filePath) {
+    return undefined;
   }
-});
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  logger.error(`Unhandled error: ${err.message}`);
-  logger.error(`Stack: ${err.stack}`);
-  
-  res.status(500).json({
-    success: false,
-    error: 'Internal server error',
-    worker_info: {
-      worker_id: process.env.RENDER_SERVICE_NAME || 'local',
-      timestamp: new Date().toISOString()
+  try {
+    const value = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    validate(value);
+    return value;
+  } catch (error) {
+    defaultLogger.error(`Cannot load ${name} (${filePath}): ${error.message}`);
+    process.exit(1);
+  }
+};
+
+// Start server
+if (require.main === module) {
+  const logger = defaultLogger;
+  const app = createApp({
+    apiKey: process.env.LINK_HARVESTER_API_KEY,
+    logger,
+    jobRetentionMs: readIntEnv('STEAM_WORKER_JOB_RETENTION_MS', 60 * 60 * 1000),
+    unknownFields: process.env.STEAM_WORKER_UNKNOWN_FIELDS || 'allow',
+    sessionLimits: {
+      maxSessions: readIntEnv('STEAM_WORKER_MAX_SESSIONS', 10),
+      accountLockMode: process.env.STEAM_WORKER_ACCOUNT_LOCK_MODE || 'queue',
+      retryAfterSeconds: readIntEnv('STEAM_WORKER_RETRY_AFTER_S', 30)
+    },
+    sessionPool: {
+      idleTtlMs: readIntEnv('STEAM_WORKER_SESSION_POOL_TTL_MS', 0)
+    },
+    drain: {
+      gracePeriodMs: readIntEnv('STEAM_WORKER_DRAIN_GRACE_MS', 60000)
+    },
+    ledger: {
+      // Empty keeps the ledger in memory only; the default sits next to server.js, whatever the cwd
+      filePath: process.env.STEAM_WORKER_LEDGER_FILE !== undefined
+        ? process.env.STEAM_WORKER_LEDGER_FILE
+        : path.join(__dirname, 'data', 'invite_ledger.json')
+    },
+    errorPolicy: readJsonEnvFile('STEAM_WORKER_ERROR_POLICY_FILE', (policy) => new ErrorPolicy(policy)),
+    workerOptions: {
+      connectorOptions: {
+        maxTotpWaitMs: readIntEnv('STEAM_WORKER_TOTP_MAX_WAIT_MS', 35000),
+        maxLoginRetries: readIntEnv('STEAM_WORKER_LOGIN_MAX_RETRIES', 2),
+        loginRetryDelayMs: readIntEnv('STEAM_WORKER_LOGIN_RETRY_DELAY_MS', 5000),
+        cancelConfirmTimeoutMs: readIntEnv('STEAM_WORKER_CANCEL_CONFIRM_TIMEOUT_MS', 10000),
+        refreshTokenWaitMs: readIntEnv('STEAM_WORKER_REFRESH_TOKEN_WAIT_MS', 7000)
+      }
     }
   });
-});
+  const { jobManager, sessionPool, drainManager, inviteLedger } = app.locals;
 
-// 404 handler
-app.use((req, res) => {
-  res.status(404).json({
-    success: false,
-    error: 'Endpoint not found'
+  const server = app.listen(PORT, '0.0.0.0', () => {
+    logger.info(`Steam Worker API listening on port ${PORT}`);
+    logger.info(`Worker ID: ${process.env.RENDER_SERVICE_NAME || 'local'}`);
+    logger.info(`Health check: http://localhost:${PORT}/api/steam/health`);
+    logger.info(`Process invites: POST http://localhost:${PORT}/api/steam/process-invites`);
+    logger.info(`Submit job: POST http://localhost:${PORT}/api/steam/jobs`);
   });
-});
 
-// Start server
-const server = app.listen(PORT, '0.0.0.0', () => {
-  logger.info(`Steam Worker API listening on port ${PORT}`);
-  logger.info(`Worker ID: ${process.env.RENDER_SERVICE_NAME || 'local'}`);
-  logger.info(`Health check: http://localhost:${PORT}/api/steam/health`);
-  logger.info(`Process invites: POST http://localhost:${PORT}/api/steam/process-invites`);
-});
+  const resultWindowMs = readIntEnv('STEAM_WORKER_SHUTDOWN_RESULT_WINDOW_MS', 30000);
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  logger.info('SIGTERM received, shutting down gracefully...');
-  server.close(() => {
-    logger.info('Server closed');
-    process.exit(0);
-  });
-});
+  // Graceful shutdown: refuse new work, let in-flight batches finish
+  // (aborting them after the grace period), keep serving job results until
+  // they are retrieved (jobs are in memory only), then close sessions and the server
+  const shutdown = async (signal) => {
+    if (drainManager.draining) {
+      return;
+    }
 
-process.on('SIGINT', () => {
-  logger.info('SIGINT received, shutting down gracefully...');
-  server.close(() => {
-    logger.info('Server closed');
-    process.exit(0);
-  });
-});
+    logger.info(`${signal} received, draining before shutdown...`);
+    await drainManager.drain();
+    await jobManager.waitForRetrieval(resultWindowMs);
+
+    jobManager.shutdown();
+    inviteLedger.flush();
+    if (sessionPool) {
+      sessionPool.closeAll();
+    }
+    server.close(() => {
+      logger.info('Server closed');
+      process.exit(0);
+    });
+  };
+
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+}
 
-module.exports = app;
\ No newline at end of file
+module.exports = { createApp };
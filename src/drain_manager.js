@@ -0,0 +1,105 @@
+// steam_worker/src/drain_manager.js
+
+/**
+ * Graceful drain on shutdown
+ *
+ * Every batch (sync request or job) is tracked with its AbortController.
+ * Once draining starts, new work is refused, in-flight batches get
+ * `gracePeriodMs` to finish on their own, and whatever is still running
+ * afterwards is aborted. An aborted batch stops between invites,
+ * disconnects and returns its unattempted targets as temporary failures.
+ */
+class DrainManager {
+  /**
+   * @param {Object} logger - Logger instance
+   * @param {Object} options - Drain options
+   * @param {number} options.gracePeriodMs - Time in-flight batches get before being aborted
+   */
+  constructor(logger = console, options = {}) {
+    this.logger = logger;
+    this.gracePeriodMs = options.gracePeriodMs !== undefined ? options.gracePeriodMs : 60000;
+
+    this.draining = false;
+    this.drainStartedAt = null;
+    this.drainPromise = null;
+
+    // AbortController -> batch promise
+    this.inFlight = new Map();
+  }
+
+  /**
+   * Run a batch while tracking it for drain
+   *
+   * @param {AbortController} abortController - Aborted if the grace period expires
+   * @param {Function} runFn - async () => result
+   */
+  async track(abortController, runFn) {
+    const batch = runFn();
+    this.inFlight.set(abortController, batch);
+
+    try {
+      return await batch;
+    } finally {
+      this.inFlight.delete(abortController);
+    }
+  }
+
+  /**
+   * Start draining (idempotent)
+   *
+   * @returns {Promise<Object>} { completed, aborted } once every batch has finished
+   */
+  drain() {
+    if (!this.drainPromise) {
+      this.draining = true;
+      this.drainStartedAt = new Date().toISOString();
+      this.drainPromise = this.runDrain();
+    }
+
+    return this.drainPromise;
+  }
+
+  async runDrain() {
+    const initial = this.inFlight.size;
+    this.logger.info(`[DRAIN] Draining ${initial} in-flight batch(es), grace period ${this.gracePeriodMs}ms`);
+
+    const settled = () => Promise.allSettled([...this.inFlight.values()]);
+
+    let graceTimer = null;
+    const graceExpired = new Promise(resolve => {
+      graceTimer = setTimeout(resolve, this.gracePeriodMs);
+    });
+
+    await Promise.race([settled(), graceExpired]);
+    clearTimeout(graceTimer);
+
+    const remaining = [...this.inFlight.keys()];
+
+    if (remaining.length > 0) {
+      this.logger.warn(`[DRAIN] Grace period expired, aborting ${remaining.length} batch(es)`);
+      remaining.forEach(abortController => abortController.abort('shutdown'));
+      await settled();
+    }
+
+    this.logger.info(`[DRAIN] Drain complete (${initial - remaining.length} finished, ${remaining.length} aborted)`);
+
+    return {
+      completed: initial - remaining.length,
+      aborted: remaining.length
+    };
+  }
+
+  /**
+   * Drain state (for health reporting)
+   */
+  getStats() {
+    return {
+      draining: this.draining,
+      in_flight: this.inFlight.size,
+      grace_period_ms: this.gracePeriodMs,
+      drain_started_at: this.drainStartedAt
+    };
+  }
+}
+
+module.exports = DrainManager;
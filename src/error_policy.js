@@ -0,0 +1,118 @@
+// steam_worker/src/error_policy.js
+
+const SteamUser = require('steam-user');
+
+/**
+ * Invite error policy
+ *
+ * One table decides how a failed friend invite is handled, keyed by
+ * eresult:
+ * - error_type: 'definitive' (do not retry the target) or 'temporary'
+ * - stop_batch: return the remaining targets as temporary failures
+ * - cooldown: ask the coordinator to cool the worker down
+ * - limit_reached: the account hit its invite limit (wait for the weekly reset)
+ * - banned: flag the account as banned
+ *
+ * Defaults can be overridden per deployment (config) and per request
+ * (`options.error_policy`); overrides are merged field by field.
+ */
+
+const ERROR_TYPES = ['temporary', 'definitive'];
+const RULE_FLAGS = ['stop_batch', 'cooldown', 'limit_reached', 'banned'];
+
+const DEFAULT_ERROR_POLICY = {
+  14: { message: 'Already friends', error_type: 'definitive', stop_batch: false, cooldown: false, limit_reached: false, banned: false },
+  15: { message: 'Access denied (rate limit)', error_type: 'temporary', stop_batch: true, cooldown: true, limit_reached: false, banned: false },
+  17: { message: 'Account banned', error_type: 'definitive', stop_batch: true, cooldown: false, limit_reached: false, banned: true },
+  25: { message: 'Limit exceeded', error_type: 'temporary', stop_batch: true, cooldown: false, limit_reached: true, banned: false },
+  29: { message: 'Timeout', error_type: 'temporary', stop_batch: false, cooldown: false, limit_reached: false, banned: false },
+  40: { message: 'Blocked by user', error_type: 'definitive', stop_batch: false, cooldown: false, limit_reached: false, banned: false },
+  84: { message: 'Rate limit reached', error_type: 'temporary', stop_batch: true, cooldown: false, limit_reached: true, banned: false }
+};
+
+// Eresults missing from the table (and local errors without one)
+const FALLBACK_RULE = { message: null, error_type: 'temporary', stop_batch: false, cooldown: false, limit_reached: false, banned: false };
+
+/**
+ * EResult name of a code (null if unknown or missing)
+ */
+function eresultName(eresult) {
+  return Number.isInteger(eresult) ? (SteamUser.EResult[eresult] || null) : null;
+}
+
+class ErrorPolicy {
+  /**
+   * @param {Object} overrides - { eresult: { error_type, stop_batch, cooldown, limit_reached, banned } }
+   * @param {Object} base - Rules the overrides are merged into (defaults to DEFAULT_ERROR_POLICY)
+   * @throws {Error} If an override has a non-numeric eresult or an invalid field
+   */
+  constructor(overrides = {}, base = DEFAULT_ERROR_POLICY) {
+    this.rules = { ...base };
+
+    for (const [key, override] of Object.entries(overrides || {})) {
+      if (!/^\d+$/.test(key)) {
+        throw new Error(`Invalid error policy: "${key}" is not an eresult`);
+      }
+
+      if (!override || typeof override !== 'object') {
+        throw new Error(`Invalid error policy for eresult ${key}: expected an object`);
+      }
+
+      if (override.error_type !== undefined && !ERROR_TYPES.includes(override.error_type)) {
+        throw new Error(`Invalid error policy for eresult ${key}: error_type must be one of ${ERROR_TYPES.join(', ')}`);
+      }
+
+      const rule = { ...(this.rules[key] || FALLBACK_RULE) };
+
+      if (override.error_type !== undefined) {
+        rule.error_type = override.error_type;
+      }
+
+      for (const flag of RULE_FLAGS) {
+        if (override[flag] === undefined) {
+          continue;
+        }
+        if (typeof override[flag] !== 'boolean') {
+          throw new Error(`Invalid error policy for eresult ${key}: ${flag} must be a boolean`);
+        }
+        rule[flag] = override[flag];
+      }
+
+      this.rules[key] = rule;
+    }
+  }
+
+  /**
+   * Policy with extra overrides on top of this one (itself if there are none)
+   */
+  withOverrides(overrides) {
+    if (!overrides || Object.keys(overrides).length === 0) {
+      return this;
+    }
+
+    return new ErrorPolicy(overrides, this.rules);
+  }
+
+  /**
+   * Handling of an eresult
+   *
+   * @returns {Object} { eresult, name, message, error_type, stop_batch, cooldown, limit_reached, banned }
+   */
+  resolve(eresult) {
+    const rule = (Number.isInteger(eresult) && this.rules[eresult]) || FALLBACK_RULE;
+
+    return {
+      eresult: Number.isInteger(eresult) ? eresult : null,
+      name: eresultName(eresult),
+      ...rule
+    };
+  }
+}
+
+ErrorPolicy.defaults = new ErrorPolicy();
+
+module.exports = {
+  ErrorPolicy,
+  DEFAULT_ERROR_POLICY,
+  eresultName
+};
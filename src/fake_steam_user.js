@@ -0,0 +1,310 @@
+// steam_worker/src/fake_steam_user.js
+
+const EventEmitter = require('events');
+const { EFriendRelationship } = require('steam-user');
+
+/**
+ * In-process SteamUser emulator
+ *
+ * Implements the subset of the steam-user API used by SteamConnector
+ * (logOn, logOff, setOption, addFriend, removeFriend, unblockUser, getPersonas, getSteamLevels, myFriends, users,
+ * steamID and the loggedOn/error/disconnected/friendRelationship/loginKey events) with scripted behaviour, so the
+ * whole worker flow can run without network access or real accounts.
+ *
+ * Scenario options:
+ * - steamId: SteamID64 of the logged in account
+ * - logOn: { eresult, message, delayMs, never, sequence } - eresult 1 (default) succeeds,
+ *   anything else emits `error`; `never` emits nothing (connection timeout);
+ *   `sequence` gives one eresult per created client (last one repeats)
+ * - refreshToken: { valid, issue, issueAfterMs } - `valid` is the only accepted refresh token
+ *   (others fail with AccessDenied); like steam-user 4.x, a password logon with rememberPassword
+ *   emits `issue` as `loginKey` issueAfterMs after logon (refresh token logons get none)
+ * - friends: { steamId64: relationship } initial contents of `myFriends`
+ * - personaNames: { steamId64: name } passed to addFriend callbacks and returned by getPersonas
+ * - getPersonas: { fail, never } - lookup error or no callback (timeout)
+ * - steamLevel: Steam level of the logged in account (default 0)
+ * - getSteamLevels: { fail, never } - lookup error or no callback (timeout)
+ * - addFriend: { eresult, message, delayMs, never, bySteamId: { steamId64: { eresult, sequence, never, throws } } } -
+ *   `sequence` gives one eresult per attempt on that ID (last one repeats);
+ *   adding someone with a received invite (RequestRecipient) accepts it (Friend)
+ * - removeFriend: { throwsFor: [steamId64], unconfirmedFor: [steamId64], delayMs } - removals are
+ *   confirmed with a `friendRelationship` (None) event unless listed in `unconfirmedFor`
+ * - unblockUser: { failFor: [steamId64] } - listed IDs fail with eresult 2; blocked/ignored
+ *   users are removed (None), an IgnoredFriend becomes a Friend again
+ * - disconnectAfterMs: emit `disconnected` on its own after logon
+ */
+class FakeSteamUser extends EventEmitter {
+  constructor(scenario = {}, index = 0) {
+    super();
+    this.scenario = scenario;
+    this.index = index;
+
+    this.steamID = null;
+    this.myFriends = {};
+    this.users = {};
+    this.options = { autoRelogin: true };
+
+    // Every call is recorded for assertions
+    this.calls = {
+      logOn: [],
+      logOff: 0,
+      addFriend: [],
+      removeFriend: [],
+      unblockUser: [],
+      getPersonas: [],
+      getSteamLevels: []
+    };
+
+    this.timers = new Set();
+    this.log = [];
+  }
+
+  /**
+   * Build a client factory for SteamConnector
+   *
+   * Created clients are collected in `factory.clients` (in creation order),
+   * and `factory.log` records logOn/logOff across clients as "<index>:<call>".
+   */
+  static createFactory(scenario = {}) {
+    const factory = () => {
+      const client = new FakeSteamUser(scenario, factory.clients.length);
+      client.log = factory.log;
+      factory.clients.push(client);
+      return client;
+    };
+    factory.clients = [];
+    factory.log = [];
+    return factory;
+  }
+
+  logOn(details) {
+    this.calls.logOn.push(details);
+    this.log.push(`${this.index}:logOn`);
+    const logOn = this.scenario.logOn || {};
+
+    if (logOn.never) {
+      return;
+    }
+
+    const refreshToken = this.scenario.refreshToken || {};
+
+    this.schedule(() => {
+      let eresult = logOn.eresult === undefined ? 1 : logOn.eresult;
+
+      if (logOn.sequence) {
+        eresult = logOn.sequence[Math.min(this.index, logOn.sequence.length - 1)];
+      }
+
+      if (details.refreshToken && details.refreshToken !== refreshToken.valid) {
+        eresult = 15;
+      }
+
+      if (eresult !== 1) {
+        const err = new Error(logOn.message || `Logon failed (eresult ${eresult})`);
+        err.eresult = eresult;
+        this.emit('error', err);
+        return;
+      }
+
+      const steamId = this.scenario.steamId || '76561198000000001';
+      this.steamID = { getSteamID64: () => steamId, toString: () => steamId };
+      this.myFriends = { ...(this.scenario.friends || {}) };
+      this.emit('loggedOn', { eresult: 1 });
+
+      if (refreshToken.issue && details.rememberPassword && !details.refreshToken) {
+        this.schedule(() => this.emit('loginKey', refreshToken.issue), refreshToken.issueAfterMs || 0);
+      }
+
+      if (this.scenario.disconnectAfterMs !== undefined) {
+        this.schedule(() => this.simulateDisconnect(3, 'NoConnection'), this.scenario.disconnectAfterMs);
+      }
+    }, logOn.delayMs || 0);
+  }
+
+  setOption(option, value) {
+    this.options[option] = value;
+  }
+
+  logOff() {
+    this.calls.logOff++;
+    this.log.push(`${this.index}:logOff`);
+
+    if (!this.steamID) {
+      return;
+    }
+
+    this.schedule(() => this.simulateDisconnect(0, 'Logged off'), 0);
+  }
+
+  addFriend(steamId, callback) {
+    const id = String(steamId);
+    this.calls.addFriend.push(id);
+
+    const defaults = this.scenario.addFriend || {};
+    const behaviour = { ...defaults, ...((defaults.bySteamId || {})[id] || {}) };
+
+    if (behaviour.throws) {
+      throw new Error(behaviour.throws);
+    }
+
+    if (behaviour.never) {
+      return;
+    }
+
+    const attempt = this.calls.addFriend.filter(called => called === id).length - 1;
+
+    this.schedule(() => {
+      let eresult = behaviour.eresult === undefined ? 1 : behaviour.eresult;
+
+      if (behaviour.sequence) {
+        eresult = behaviour.sequence[Math.min(attempt, behaviour.sequence.length - 1)];
+      }
+
+      if (eresult !== 1) {
+        const err = new Error(behaviour.message || `addFriend failed (eresult ${eresult})`);
+        err.eresult = eresult;
+        callback(err);
+        return;
+      }
+
+      this.myFriends[id] = this.myFriends[id] === EFriendRelationship.RequestRecipient
+        ? EFriendRelationship.Friend
+        : EFriendRelationship.RequestInitiator;
+      callback(null, (this.scenario.personaNames || {})[id] || null);
+    }, behaviour.delayMs || 0);
+  }
+
+  removeFriend(steamId) {
+    const id = String(steamId);
+    this.calls.removeFriend.push(id);
+
+    const behaviour = this.scenario.removeFriend || {};
+
+    if ((behaviour.throwsFor || []).includes(id)) {
+      throw new Error(`removeFriend failed for ${id}`);
+    }
+
+    if ((behaviour.unconfirmedFor || []).includes(id)) {
+      return;
+    }
+
+    // Like steam-user: the event fires first, then myFriends is updated
+    this.schedule(() => {
+      this.emit('friendRelationship', { getSteamID64: () => id, toString: () => id }, EFriendRelationship.None);
+      delete this.myFriends[id];
+    }, behaviour.delayMs || 0);
+  }
+
+  unblockUser(steamId, callback) {
+    const id = String(steamId);
+    this.calls.unblockUser.push(id);
+
+    const behaviour = this.scenario.unblockUser || {};
+
+    this.schedule(() => {
+      if ((behaviour.failFor || []).includes(id)) {
+        const err = new Error('Fail');
+        err.eresult = 2;
+        callback(err);
+        return;
+      }
+
+      const steamID = { getSteamID64: () => id, toString: () => id };
+
+      if (this.myFriends[id] === EFriendRelationship.IgnoredFriend) {
+        this.emit('friendRelationship', steamID, EFriendRelationship.Friend);
+        this.myFriends[id] = EFriendRelationship.Friend;
+      } else {
+        this.emit('friendRelationship', steamID, EFriendRelationship.None);
+        delete this.myFriends[id];
+      }
+      callback(null);
+    }, 0);
+  }
+
+  getPersonas(steamIds, callback) {
+    const ids = steamIds.map(String);
+    this.calls.getPersonas.push(ids);
+
+    const behaviour = this.scenario.getPersonas || {};
+
+    if (behaviour.never) {
+      return;
+    }
+
+    this.schedule(() => {
+      if (behaviour.fail) {
+        callback(new Error('Persona lookup failed'));
+        return;
+      }
+
+      const personas = {};
+      for (const id of ids) {
+        const name = (this.scenario.personaNames || {})[id];
+        if (name) {
+          personas[id] = { player_name: name };
+          this.users[id] = personas[id];
+        }
+      }
+      callback(null, personas);
+    }, 0);
+  }
+
+  getSteamLevels(steamIds, callback) {
+    const ids = steamIds.map(String);
+    this.calls.getSteamLevels.push(ids);
+
+    const behaviour = this.scenario.getSteamLevels || {};
+
+    if (behaviour.never) {
+      return;
+    }
+
+    this.schedule(() => {
+      if (behaviour.fail) {
+        callback(new Error('Steam level lookup failed'));
+        return;
+      }
+
+      const ownId = this.steamID ? this.steamID.getSteamID64() : null;
+      const levels = {};
+      for (const id of ids) {
+        if (id === ownId) {
+          levels[id] = this.scenario.steamLevel || 0;
+        }
+      }
+      callback(null, levels);
+    }, 0);
+  }
+
+  /**
+   * Emit a `disconnected` event as Steam would on connection loss or logoff
+   */
+  simulateDisconnect(eresult = 3, msg = 'NoConnection') {
+    this.steamID = null;
+    this.emit('disconnected', eresult, msg);
+  }
+
+  /**
+   * Run a callback later, tracking the timer so it can be cleared
+   */
+  schedule(fn, delayMs) {
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      fn();
+    }, delayMs);
+    this.timers.add(timer);
+  }
+
+  /**
+   * Clear all pending scripted callbacks
+   */
+  destroy() {
+    for (const timer of this.timers) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+  }
+}
+
+module.exports = FakeSteamUser;
@@ -0,0 +1,50 @@
+// steam_worker/src/friend_limit.js
+
+/**
+ * Steam friend limit
+ *
+ * Every account can hold 250 friends (including pending and ignored
+ * entries); each Steam level adds 5 more, up to Steam's hard cap of 2000.
+ */
+
+const BASE_FRIEND_LIMIT = 250;
+const FRIENDS_PER_LEVEL = 5;
+const MAX_FRIEND_LIMIT = 2000;
+
+/**
+ * Friend limit of an account at the given Steam level (base limit if unknown)
+ */
+function friendLimitForLevel(level) {
+  if (!Number.isInteger(level) || level < 0) {
+    return BASE_FRIEND_LIMIT;
+  }
+
+  return Math.min(MAX_FRIEND_LIMIT, BASE_FRIEND_LIMIT + level * FRIENDS_PER_LEVEL);
+}
+
+/**
+ * Pick the friend limit for a batch: explicit override, then the level-derived limit, then the base
+ *
+ * @param {number} override - Per-request max_overall_slots (optional)
+ * @param {number} level - Steam level read after login (null if unavailable)
+ * @returns {Object} { friend_limit, source: 'override' | 'steam_level' | 'default' }
+ */
+function resolveFriendLimit(override, level) {
+  if (Number.isInteger(override) && override > 0) {
+    return { friend_limit: override, source: 'override' };
+  }
+
+  if (Number.isInteger(level) && level >= 0) {
+    return { friend_limit: friendLimitForLevel(level), source: 'steam_level' };
+  }
+
+  return { friend_limit: BASE_FRIEND_LIMIT, source: 'default' };
+}
+
+module.exports = {
+  BASE_FRIEND_LIMIT,
+  FRIENDS_PER_LEVEL,
+  MAX_FRIEND_LIMIT,
+  friendLimitForLevel,
+  resolveFriendLimit
+};
@@ -0,0 +1,206 @@
+// steam_worker/src/invite_ledger.js
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Persistent ledger of sent friend invites (per account)
+ *
+ * Records when the worker sent each invite so cleanup can cancel the
+ * oldest ones first when the caller sends no `oldest_pending_invites`.
+ * Entries are removed when an invite is cancelled, and reconciled against
+ * Steam's pending list (accepted or declined invites drop out).
+ *
+ * The ledger is kept in memory and written to a JSON file (atomically,
+ * debounced by `flushDelayMs`). Without `filePath` it is memory-only.
+ */
+class InviteLedger {
+  /**
+   * @param {Object} logger - Logger instance
+   * @param {Object} options - Ledger options
+   * @param {string} options.filePath - JSON file to load from and persist to (null = memory only)
+   * @param {number} options.flushDelayMs - Debounce before writing changes to disk
+   */
+  constructor(logger = console, options = {}) {
+    this.logger = logger;
+    this.filePath = options.filePath || null;
+    this.flushDelayMs = options.flushDelayMs !== undefined ? options.flushDelayMs : 1000;
+    this.flushTimer = null;
+
+    // account key -> Map(steamId64 -> sentAt ISO string)
+    this.accounts = new Map();
+
+    this.load();
+  }
+
+  /**
+   * Load the ledger file (a missing or unreadable file starts an empty ledger)
+   */
+  load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+
+      for (const [key, invites] of Object.entries(data.accounts || {})) {
+        this.accounts.set(key, new Map(Object.entries(invites)));
+      }
+
+      this.logger.info(`[LEDGER] Loaded ${this.accounts.size} accounts from ${this.filePath}`);
+    } catch (error) {
+      this.logger.error(`[LEDGER] Could not read ${this.filePath}, starting empty: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record a sent invite (keeps the original time if it was already pending)
+   */
+  recordSent(username, steamId, sentAt = new Date()) {
+    const invites = this.getAccount(username, true);
+
+    if (!invites.has(steamId)) {
+      invites.set(steamId, sentAt.toISOString());
+      this.scheduleFlush();
+    }
+  }
+
+  /**
+   * Forget invites that were cancelled
+   */
+  recordRemoved(username, steamIds) {
+    const invites = this.getAccount(username, false);
+
+    if (!invites) {
+      return;
+    }
+
+    let removed = 0;
+    for (const steamId of steamIds) {
+      removed += invites.delete(steamId) ? 1 : 0;
+    }
+
+    if (removed > 0) {
+      this.cleanupAccount(username);
+      this.scheduleFlush();
+    }
+  }
+
+  /**
+   * Drop entries that are no longer pending on Steam (accepted, declined or cancelled elsewhere)
+   *
+   * @param {string} username - Account
+   * @param {Array<string>} pendingSteamIds - Steam's current pending (invite_sent) list
+   * @returns {number} Entries removed
+   */
+  reconcile(username, pendingSteamIds) {
+    const invites = this.getAccount(username, false);
+
+    if (!invites) {
+      return 0;
+    }
+
+    const pending = new Set(pendingSteamIds);
+    let removed = 0;
+
+    for (const steamId of [...invites.keys()]) {
+      if (!pending.has(steamId)) {
+        invites.delete(steamId);
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      this.logger.debug(`[LEDGER] Reconciled ${username}: ${removed} invites no longer pending`);
+      this.cleanupAccount(username);
+      this.scheduleFlush();
+    }
+
+    return removed;
+  }
+
+  /**
+   * Order Steam IDs oldest invite first
+   * IDs missing from the ledger (sent before it existed or by other means)
+   * are treated as oldest and keep their relative order
+   */
+  sortOldestFirst(username, steamIds) {
+    const invites = this.getAccount(username, false) || new Map();
+    const unknown = steamIds.filter(steamId => !invites.has(steamId));
+    const known = steamIds
+      .filter(steamId => invites.has(steamId))
+      .sort((a, b) => invites.get(a).localeCompare(invites.get(b)));
+
+    return [...unknown, ...known];
+  }
+
+  /**
+   * Ledger entries of an account, oldest first
+   */
+  list(username) {
+    const invites = this.getAccount(username, false) || new Map();
+
+    return [...invites.entries()]
+      .map(([steamId, sentAt]) => ({ steam_id: steamId, sent_at: sentAt }))
+      .sort((a, b) => a.sent_at.localeCompare(b.sent_at));
+  }
+
+  getAccount(username, create) {
+    const key = username.toLowerCase();
+    let invites = this.accounts.get(key);
+
+    if (!invites && create) {
+      invites = new Map();
+      this.accounts.set(key, invites);
+    }
+
+    return invites || null;
+  }
+
+  cleanupAccount(username) {
+    const key = username.toLowerCase();
+    const invites = this.accounts.get(key);
+
+    if (invites && invites.size === 0) {
+      this.accounts.delete(key);
+    }
+  }
+
+  scheduleFlush() {
+    if (!this.filePath || this.flushTimer) {
+      return;
+    }
+
+    this.flushTimer = setTimeout(() => this.flush(), this.flushDelayMs);
+    this.flushTimer.unref();
+  }
+
+  /**
+   * Write the ledger to disk now (temp file + rename, so a crash never leaves a partial file)
+   */
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    if (!this.filePath) {
+      return;
+    }
+
+    const data = { accounts: {} };
+    for (const [key, invites] of this.accounts) {
+      data.accounts[key] = Object.fromEntries(invites);
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tempPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(data));
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      this.logger.error(`[LEDGER] Could not write ${this.filePath}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = InviteLedger;
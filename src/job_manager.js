@@ -0,0 +1,265 @@
+// steam_worker/src/job_manager.js
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+/**
+ * In-memory job store for asynchronous batch processing
+ *
+ * Jobs are executed in the background as soon as they are submitted, but
+ * stay `queued` until the runner reports it started (markStarted, e.g.
+ * once the account lock is acquired). Finished jobs are kept for `retentionMs` so the coordinator can poll
+ * for the result, then pruned.
+ *
+ * Progress events recorded during a job are buffered on the job, so a
+ * subscriber connecting late still receives the full history.
+ *
+ * Jobs live in memory only: on shutdown the server waits (up to a window)
+ * for every finished job's result to be retrieved before exiting.
+ */
+class JobManager {
+  constructor(logger = console, options = {}) {
+    this.logger = logger;
+    this.retentionMs = options.retentionMs !== undefined ? options.retentionMs : 60 * 60 * 1000;
+    this.pruneIntervalMs = options.pruneIntervalMs || 60 * 1000;
+
+    this.jobs = new Map();
+
+    // Periodic pruning of expired jobs (doesn't keep the process alive)
+    this.pruneInterval = setInterval(() => this.pruneExpired(), this.pruneIntervalMs);
+    this.pruneInterval.unref();
+  }
+
+  /**
+   * Submit a new job
+   *
+   * @param {Function} runFn - Async function producing the job result (calls markStarted when work begins)
+   * @param {Object} metadata - Extra info stored with the job (e.g. account)
+   * @returns {Object} The created job
+   */
+  submit(runFn, metadata = {}) {
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      metadata: metadata,
+      created_at: new Date().toISOString(),
+      started_at: null,
+      finished_at: null,
+      retrieved_at: null,
+      result: null,
+      error: null,
+      events: [],
+      emitter: new EventEmitter(),
+      abortController: new AbortController()
+    };
+
+    this.jobs.set(job.id, job);
+    this.logger.info(`[JOBS] Job ${job.id} queued`);
+
+    // Run on next tick so the caller can respond before work starts
+    setImmediate(() => this.run(job, runFn));
+
+    return job;
+  }
+
+  /**
+   * Execute a job and record its outcome
+   */
+  async run(job, runFn) {
+    try {
+      job.result = await runFn(job);
+      job.status = job.abortController.signal.aborted ? 'cancelled' : 'completed';
+      this.logger.info(`[JOBS] Job ${job.id} ${job.status}`);
+    } catch (error) {
+      job.error = error.message;
+      job.status = 'failed';
+      this.logger.error(`[JOBS] Job ${job.id} failed: ${error.message}`);
+    } finally {
+      job.finished_at = new Date().toISOString();
+      job.emitter.emit('end', job);
+      job.emitter.removeAllListeners();
+    }
+  }
+
+  /**
+   * Mark a queued job as running (its work actually started)
+   */
+  markStarted(job) {
+    if (job.status !== 'queued') {
+      return;
+    }
+
+    job.status = 'running';
+    job.started_at = new Date().toISOString();
+    this.logger.info(`[JOBS] Job ${job.id} started`);
+  }
+
+  /**
+   * Record a progress event for a job and notify subscribers
+   */
+  recordEvent(job, event) {
+    job.events.push(event);
+    job.emitter.emit('event', event);
+  }
+
+  /**
+   * Subscribe to a job's events
+   *
+   * Replays buffered events first, then streams new ones until the job
+   * finishes. Returns an unsubscribe function.
+   *
+   * @param {Object} job - Job to follow
+   * @param {Function} onEvent - Called for each event
+   * @param {Function} onEnd - Called once when the job is finished
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(job, onEvent, onEnd) {
+    for (const event of job.events) {
+      onEvent(event);
+    }
+
+    if (job.finished_at) {
+      onEnd(job);
+      return () => {};
+    }
+
+    job.emitter.on('event', onEvent);
+    job.emitter.once('end', onEnd);
+
+    return () => {
+      job.emitter.removeListener('event', onEvent);
+      job.emitter.removeListener('end', onEnd);
+    };
+  }
+
+  /**
+   * Request cancellation of a queued or running job
+   *
+   * The job stops at its next checkpoint and still finishes with a
+   * (partial) result.
+   *
+   * @returns {boolean} False if the job had already finished
+   */
+  cancel(job) {
+    if (job.finished_at) {
+      return false;
+    }
+
+    if (!job.abortController.signal.aborted) {
+      this.logger.warn(`[JOBS] Cancellation requested for job ${job.id}`);
+      job.abortController.abort();
+    }
+
+    return true;
+  }
+
+  /**
+   * Record that a finished job's result reached the coordinator
+   */
+  markRetrieved(job) {
+    if (job.finished_at && !job.retrieved_at) {
+      job.retrieved_at = new Date().toISOString();
+    }
+  }
+
+  /**
+   * Jobs whose result nobody has retrieved yet (including unfinished ones)
+   */
+  getUnretrieved() {
+    return [...this.jobs.values()].filter(job => !job.retrieved_at);
+  }
+
+  /**
+   * Wait until every job's result has been retrieved (used on shutdown)
+   *
+   * @param {number} timeoutMs - Give up after this long
+   * @param {number} pollMs - Check interval
+   * @returns {Promise<boolean>} False if results were left unretrieved
+   */
+  async waitForRetrieval(timeoutMs, pollMs = 200) {
+    const deadline = Date.now() + timeoutMs;
+
+    while (this.getUnretrieved().length > 0) {
+      if (Date.now() >= deadline) {
+        const ids = this.getUnretrieved().map(job => job.id);
+        this.logger.warn(`[JOBS] Shutting down with ${ids.length} unretrieved job result(s): ${ids.join(', ')}`);
+        return false;
+      }
+
+      await new Promise(resolve => setTimeout(resolve, Math.min(pollMs, Math.max(deadline - Date.now(), 0))));
+    }
+
+    return true;
+  }
+
+  /**
+   * Job counts by status (for metrics)
+   */
+  getStats() {
+    const stats = { queued: 0, running: 0, retained: this.jobs.size };
+
+    for (const job of this.jobs.values()) {
+      if (job.status === 'queued' || job.status === 'running') {
+        stats[job.status]++;
+      }
+    }
+
+    return stats;
+  }
+
+  /**
+   * Get job by ID
+   */
+  get(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  /**
+   * Serialize job for API responses
+   */
+  toJSON(job) {
+    return {
+      job_id: job.id,
+      status: job.status,
+      created_at: job.created_at,
+      started_at: job.started_at,
+      finished_at: job.finished_at,
+      expires_at: job.finished_at
+        ? new Date(Date.parse(job.finished_at) + this.retentionMs).toISOString()
+        : null,
+      event_count: job.events.length,
+      result: job.result,
+      error: job.error
+    };
+  }
+
+  /**
+   * Remove finished jobs older than the retention window
+   */
+  pruneExpired() {
+    const now = Date.now();
+    let pruned = 0;
+
+    for (const [jobId, job] of this.jobs) {
+      if (job.finished_at && now - Date.parse(job.finished_at) > this.retentionMs) {
+        this.jobs.delete(jobId);
+        pruned++;
+      }
+    }
+
+    if (pruned > 0) {
+      this.logger.debug(`[JOBS] Pruned ${pruned} expired jobs`);
+    }
+
+    return pruned;
+  }
+
+  /**
+   * Stop background pruning
+   */
+  shutdown() {
+    clearInterval(this.pruneInterval);
+  }
+}
+
+module.exports = JobManager;
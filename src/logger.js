@@ -0,0 +1,187 @@
+// steam_worker/src/logger.js
+
+/**
+ * Structured JSON logger
+ *
+ * Writes one JSON object per line. The `[WORKER]`/`[STEAM]`/... prefix of
+ * a message becomes the `component` field, and context bound with
+ * `child()` (e.g. request_id) is attached to every line.
+ *
+ * Redaction is applied to every line: values of secret-looking keys,
+ * JWTs (Steam refresh tokens) and any secret value registered on the
+ * logger (e.g. the credentials of the current request) are replaced
+ * with [REDACTED].
+ */
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const REDACTED = '[REDACTED]';
+
+// Keys whose values are never logged or returned in errors
+const SECRET_KEY_PATTERN = /password|secret|token|api[_-]?key|authorization|two_?factor|auth_?code/i;
+
+// key=value / "key":"value" pairs for secret keys inside free text
+const SECRET_PAIR_PATTERN = /((?:password|secret|token|api[_-]?key|authorization|two_?factor|auth_?code)\w*["']?\s*[:=]\s*["']?)([^\s"',;&}]+)/gi;
+
+// JSON Web Tokens (Steam refresh/access tokens)
+const JWT_PATTERN = /eyJ[\w-]+\.[\w-]+\.[\w-]+/g;
+
+// Registered secrets shorter than this are not substituted (too likely to match normal text)
+const MIN_SECRET_LENGTH = 4;
+
+/**
+ * Replace secrets inside a string
+ *
+ * @param {string} text - Text to redact
+ * @param {Array<string>} secrets - Literal values to redact wherever they appear
+ */
+function redactString(text, secrets = []) {
+  let redacted = String(text);
+
+  for (const secret of secrets) {
+    if (typeof secret === 'string' && secret.length >= MIN_SECRET_LENGTH) {
+      redacted = redacted.split(secret).join(REDACTED);
+    }
+  }
+
+  return redacted
+    .replace(JWT_PATTERN, REDACTED)
+    .replace(SECRET_PAIR_PATTERN, `$1${REDACTED}`);
+}
+
+/**
+ * Redact a value (string, array or plain object), returning a copy
+ * Object values under secret-looking keys are replaced entirely
+ */
+function redact(value, secrets = []) {
+  if (typeof value === 'string') {
+    return redactString(value, secrets);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, secrets));
+  }
+
+  if (value && typeof value === 'object') {
+    if (value instanceof Error) {
+      return redactString(value.message, secrets);
+    }
+
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+      copy[key] = SECRET_KEY_PATTERN.test(key) && item !== null && item !== undefined
+        ? REDACTED
+        : redact(item, secrets);
+    }
+    return copy;
+  }
+
+  return value;
+}
+
+/**
+ * Collect the secret values of a credentials object
+ */
+function credentialSecrets(credentials) {
+  if (!credentials || typeof credentials !== 'object') {
+    return [];
+  }
+
+  return Object.entries(credentials)
+    .filter(([key, value]) => SECRET_KEY_PATTERN.test(key) && typeof value === 'string')
+    .map(([, value]) => value);
+}
+
+class Logger {
+  /**
+   * @param {Object} options - Logger options
+   * @param {string} options.level - Minimum level: debug, info, warn or error
+   * @param {Function} options.write - Line sink (defaults to stdout)
+   * @param {Object} options.context - Fields added to every line
+   * @param {Array<string>} options.secrets - Literal values redacted from every line
+   */
+  constructor(options = {}) {
+    this.level = options.level || 'info';
+
+    if (!LOG_LEVELS[this.level]) {
+      throw new Error(`Invalid log level: ${this.level} (expected ${Object.keys(LOG_LEVELS).join(', ')})`);
+    }
+
+    this.write = options.write || ((line) => process.stdout.write(`${line}\n`));
+    this.context = options.context || {};
+    this.secrets = options.secrets || [];
+  }
+
+  /**
+   * Logger sharing this one's level and sink with extra context and secrets
+   */
+  child(context = {}, secrets = []) {
+    return new Logger({
+      level: this.level,
+      write: this.write,
+      context: { ...this.context, ...context },
+      secrets: [...this.secrets, ...secrets]
+    });
+  }
+
+  /**
+   * Redact a value with this logger's registered secrets
+   */
+  redact(value) {
+    return redact(value, this.secrets);
+  }
+
+  log(level, message, fields = {}) {
+    if (LOG_LEVELS[level] < LOG_LEVELS[this.level]) {
+      return;
+    }
+
+    const text = String(message);
+    const prefix = text.match(/^\[([A-Z_]+)\]\s*/);
+
+    const entry = {
+      timestamp: new Date().toISOString(),
+      level,
+      component: prefix ? prefix[1].toLowerCase() : 'server',
+      message: text.slice(prefix ? prefix[0].length : 0),
+      ...this.context,
+      ...fields
+    };
+
+    this.write(JSON.stringify(redact(entry, this.secrets)));
+  }
+
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+}
+
+/**
+ * Child logger if supported, the logger itself otherwise (e.g. console or test stubs)
+ */
+function childLogger(logger, context, secrets = []) {
+  return typeof logger.child === 'function' ? logger.child(context, secrets) : logger;
+}
+
+Logger.LOG_LEVELS = LOG_LEVELS;
+
+module.exports = {
+  Logger,
+  LOG_LEVELS,
+  REDACTED,
+  redact,
+  credentialSecrets,
+  childLogger
+};
@@ -0,0 +1,88 @@
+// steam_worker/src/login_errors.js
+
+const SteamUser = require('steam-user');
+
+/**
+ * Login failure classification
+ *
+ * Maps a failed logon (Steam eresult or local error) to a named category
+ * and the action the coordinator should take:
+ * - retry_now: transient, safe to retry immediately (also retried automatically)
+ * - retry_later: Steam or the account needs time (throttling, sessions)
+ * - disable_account: credentials or account state need human attention
+ */
+
+const LOGIN_ERROR_CATEGORIES = {
+  invalid_credentials: { action: 'disable_account', retryable: false },
+  invalid_2fa_code: { action: 'retry_now', retryable: true },
+  totp_unavailable: { action: 'retry_later', retryable: false },
+  invalid_refresh_token: { action: 'disable_account', retryable: false },
+  rate_limited: { action: 'retry_later', retryable: false },
+  account_disabled: { action: 'disable_account', retryable: false },
+  session_conflict: { action: 'retry_later', retryable: false },
+  network: { action: 'retry_now', retryable: true },
+  unknown: { action: 'retry_later', retryable: false }
+};
+
+// Logon eresult -> category
+const ERESULT_CATEGORIES = {
+  2: 'network',                // Fail
+  3: 'network',                // NoConnection
+  5: 'invalid_credentials',    // InvalidPassword
+  6: 'session_conflict',       // LoggedInElsewhere
+  16: 'network',               // Timeout
+  17: 'account_disabled',      // Banned
+  18: 'invalid_credentials',   // AccountNotFound
+  20: 'network',               // ServiceUnavailable
+  27: 'invalid_refresh_token', // Expired
+  43: 'account_disabled',      // AccountDisabled
+  48: 'network',               // TryAnotherCM
+  50: 'session_conflict',      // AlreadyLoggedInElsewhere
+  63: 'invalid_credentials',   // AccountLogonDenied (email Steam Guard required)
+  65: 'invalid_2fa_code',      // InvalidLoginAuthCode
+  84: 'rate_limited',          // RateLimitExceeded
+  87: 'rate_limited',          // AccountLoginDeniedThrottle
+  88: 'invalid_2fa_code'       // TwoFactorCodeMismatch
+};
+
+/**
+ * Classify a failed connection result
+ *
+ * @param {Object} connectionResult - { error, eresult, authMethod } from SteamConnector
+ * @returns {Object} { category, action, retryable, eresult, eresult_name, message }
+ */
+function classifyLoginError(connectionResult) {
+  const eresult = Number.isInteger(connectionResult.eresult) ? connectionResult.eresult : null;
+  const message = connectionResult.error || 'Unknown login error';
+
+  let category = eresult !== null ? ERESULT_CATEGORIES[eresult] : undefined;
+
+  if (!category) {
+    if (eresult === 15) {
+      // AccessDenied on a token logon means the refresh token was rejected
+      category = connectionResult.authMethod === 'refresh_token' ? 'invalid_refresh_token' : 'unknown';
+    } else if (/2FA code already used/.test(message)) {
+      category = 'totp_unavailable';
+    } else if (eresult === null && /timeout|ECONNRESET|ETIMEDOUT|ENOTFOUND|socket/i.test(message)) {
+      category = 'network';
+    } else {
+      category = 'unknown';
+    }
+  }
+
+  const { action, retryable } = LOGIN_ERROR_CATEGORIES[category];
+
+  return {
+    category,
+    action,
+    retryable,
+    eresult,
+    eresult_name: eresult !== null ? (SteamUser.EResult[eresult] || null) : null,
+    message
+  };
+}
+
+module.exports = {
+  LOGIN_ERROR_CATEGORIES,
+  classifyLoginError
+};
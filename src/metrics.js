@@ -0,0 +1,198 @@
+// steam_worker/src/metrics.js
+
+/**
+ * Minimal Prometheus metrics registry
+ *
+ * Counters, gauges and histograms with labels, rendered in the Prometheus
+ * text exposition format (version 0.0.4). Gauges may take a `collect`
+ * callback that is evaluated at scrape time.
+ */
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+/**
+ * Escape a label value for the text format
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Render a label set as {a="1",b="2"} (empty string if no labels)
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+
+  if (entries.length === 0) {
+    return '';
+  }
+
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+
+    // label key -> { labels, value | histogram state }
+    this.series = new Map();
+  }
+
+  /**
+   * Keep only declared labels (missing ones are rendered as empty strings)
+   */
+  normalizeLabels(labels = {}) {
+    const normalized = {};
+    for (const name of this.labelNames) {
+      normalized[name] = labels[name] === undefined || labels[name] === null ? '' : String(labels[name]);
+    }
+    return normalized;
+  }
+
+  getSeries(labels, create) {
+    const normalized = this.normalizeLabels(labels);
+    const key = JSON.stringify(normalized);
+    let series = this.series.get(key);
+
+    if (!series) {
+      series = create(normalized);
+      this.series.set(key, series);
+    }
+
+    return series;
+  }
+
+  render() {
+    return [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} ${this.type}`,
+      ...this.renderSamples()
+    ].join('\n');
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels = {}, value = 1) {
+    this.getSeries(labels, normalized => ({ labels: normalized, value: 0 })).value += value;
+  }
+
+  get(labels = {}) {
+    const series = this.series.get(JSON.stringify(this.normalizeLabels(labels)));
+    return series ? series.value : 0;
+  }
+
+  renderSamples() {
+    return [...this.series.values()].map(series => `${this.name}${formatLabels(series.labels)} ${series.value}`);
+  }
+}
+
+class Gauge extends Metric {
+  /**
+   * @param {Function} collect - Optional (gauge) => void, called before rendering to set current values
+   */
+  constructor(name, help, labelNames, collect = null) {
+    super('gauge', name, help, labelNames);
+    this.collect = collect;
+  }
+
+  set(labels = {}, value) {
+    this.getSeries(labels, normalized => ({ labels: normalized, value: 0 })).value = value;
+  }
+
+  renderSamples() {
+    if (this.collect) {
+      this.collect(this);
+    }
+
+    return [...this.series.values()].map(series => `${this.name}${formatLabels(series.labels)} ${series.value}`);
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels = {}, value) {
+    const series = this.getSeries(labels, normalized => ({
+      labels: normalized,
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    }));
+
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  renderSamples() {
+    const lines = [];
+
+    for (const series of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+      lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    }
+
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric already registered: ${metric.name}`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames = []) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames = [], collect = null) {
+    return this.register(new Gauge(name, help, labelNames, collect));
+  }
+
+  histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  /**
+   * Render every metric in the Prometheus text format
+   */
+  render() {
+    return `${[...this.metrics.values()].map(metric => metric.render()).join('\n')}\n`;
+  }
+}
+
+MetricsRegistry.CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+module.exports = {
+  MetricsRegistry,
+  Counter,
+  Gauge,
+  Histogram,
+  DEFAULT_BUCKETS
+};
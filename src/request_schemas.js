@@ -0,0 +1,159 @@
+// steam_worker/src/request_schemas.js
+
+/**
+ * Request body schemas (see schema_validator.js for the format)
+ */
+
+const credentialsSchema = {
+  type: 'object',
+  required: true,
+  // Refresh token logon, or password + TOTP (also the fallback for a rejected token)
+  requiredGroups: [['refreshToken'], ['password', 'sharedSecret']],
+  properties: {
+    username: { type: 'string', required: true, minLength: 1 },
+    password: { type: 'string', minLength: 1 },
+    sharedSecret: { type: 'string', minLength: 1 },
+    refreshToken: { type: 'string', minLength: 1 }
+  }
+};
+
+// Received invites and ignored entries handled during cleanup, each up to its own cap
+const cleanupPolicySchema = {
+  type: 'object',
+  exclusive: ['accept_received', 'decline_received'],
+  properties: {
+    accept_received: { type: 'integer', min: 0 },
+    decline_received: { type: 'integer', min: 0 },
+    clear_ignored: { type: 'integer', min: 0 }
+  }
+};
+
+// Per-request overrides of the invite error policy, keyed by eresult (see error_policy.js)
+const errorPolicySchema = {
+  type: 'object',
+  keyPattern: /^\d+$/,
+  keyPatternMessage: 'must be a numeric eresult',
+  values: {
+    type: 'object',
+    properties: {
+      error_type: { type: 'string', enum: ['temporary', 'definitive'] },
+      stop_batch: { type: 'boolean' },
+      cooldown: { type: 'boolean' },
+      limit_reached: { type: 'boolean' },
+      banned: { type: 'boolean' }
+    }
+  }
+};
+
+const processInvitesSchema = {
+  type: 'object',
+  properties: {
+    account: {
+      type: 'object',
+      required: true,
+      properties: {
+        username: { type: 'string' },
+        steam_login: { type: 'string' },
+        weekly_invite_slots: { type: 'integer', min: 0 },
+        overall_friend_slots: { type: 'integer', min: 0, nullable: true }
+      }
+    },
+    credentials: credentialsSchema,
+    targets: {
+      type: 'array',
+      required: true,
+      minItems: 1,
+      items: {
+        type: 'object',
+        properties: {
+          // Any Steam ID format, normalized (and rejected per target) by the worker
+          slug: { type: 'string', required: true, minLength: 1 }
+        }
+      }
+    },
+    options: {
+      type: 'object',
+      required: true,
+      properties: {
+        max_invites_per_batch: { type: 'integer', min: 1 },
+        delay_between_invites_ms: { type: 'integer', min: 0 },
+        dry_run: { type: 'boolean' },
+        // Overrides the friend limit derived from the account's Steam level
+        max_overall_slots: { type: 'integer', min: 1 },
+        cleanup_policy: cleanupPolicySchema,
+        error_policy: errorPolicySchema,
+        // Retries of non-stopping temporary invite failures (see WorkerLogic.RETRY_DEFAULTS)
+        retry_policy: {
+          type: 'object',
+          properties: {
+            max_attempts: { type: 'integer', min: 1, max: 10 },
+            backoff_ms: { type: 'integer', min: 0 },
+            backoff_multiplier: { type: 'number', min: 1 },
+            max_retries: { type: 'integer', min: 0 }
+          }
+        },
+        oldest_pending_invites: {
+          type: 'array',
+          items: { type: 'string', minLength: 1 }
+        }
+      }
+    }
+  }
+};
+
+// Stateless capacity planning (same arithmetic as process-invites, no Steam login)
+const planSchema = {
+  type: 'object',
+  properties: {
+    account: {
+      type: 'object',
+      required: true,
+      properties: {
+        weekly_invite_slots: { type: 'integer', required: true, min: 0 },
+        overall_friend_slots: { type: 'integer', required: true, min: 0, nullable: true },
+        // Derives the friend limit when limits.max_overall_slots is not given
+        steam_level: { type: 'integer', min: 0 }
+      }
+    },
+    requested_count: { type: 'integer', required: true, min: 0 },
+    limits: {
+      type: 'object',
+      properties: {
+        max_overall_slots: { type: 'integer', min: 1 }
+      }
+    }
+  }
+};
+
+// Friends-list snapshot (logs in, reads relationships, logs off)
+const friendsSchema = {
+  type: 'object',
+  properties: {
+    credentials: credentialsSchema,
+    include_personas: { type: 'boolean' }
+  }
+};
+
+// Standalone cleanup: free a number of slots, or down to a target total
+const cleanupSchema = {
+  type: 'object',
+  requiredGroups: [['slots_to_free'], ['target_total_slots']],
+  exclusive: ['slots_to_free', 'target_total_slots'],
+  properties: {
+    credentials: credentialsSchema,
+    slots_to_free: { type: 'integer', min: 1 },
+    target_total_slots: { type: 'integer', min: 0 },
+    cleanup_policy: cleanupPolicySchema,
+    oldest_pending_invites: {
+      type: 'array',
+      items: { type: 'string', minLength: 1 }
+    }
+  }
+};
+
+module.exports = {
+  processInvitesSchema,
+  planSchema,
+  friendsSchema,
+  cleanupSchema
+};
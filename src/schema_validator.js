@@ -0,0 +1,221 @@
+// steam_worker/src/schema_validator.js
+
+/**
+ * Minimal declarative schema validator for request bodies
+ *
+ * Schema nodes:
+ * - type: 'object' | 'array' | 'string' | 'integer' | 'number' | 'boolean'
+ * - required: field must be present (checked by the parent object)
+ * - nullable: null is accepted
+ * - properties: child schemas (objects)
+ * - additionalProperties: true to always allow unknown fields on this object
+ * - requiredGroups: alternatives, at least one group of fields must be fully present
+ *   (e.g. [['refreshToken'], ['password', 'sharedSecret']])
+ * - exclusive: fields of which at most one may be present
+ * - values: schema of every other property (maps, e.g. keyed by eresult),
+ *   keyPattern / keyPatternMessage: constraint on those keys
+ * - items, minItems, maxItems (arrays)
+ * - minLength, pattern, enum (strings)
+ * - min, max (numbers)
+ *
+ * Unknown fields are handled by the `unknownFields` policy:
+ * 'allow' (keep), 'strip' (delete from the body) or 'reject' (violation).
+ */
+
+const UNKNOWN_FIELD_POLICIES = ['allow', 'strip', 'reject'];
+
+/**
+ * Validate a value against a schema
+ *
+ * @param {Object} schema - Root schema node
+ * @param {*} value - Value to validate (stripped in place with 'strip')
+ * @param {Object} options - Validation options
+ * @param {string} options.unknownFields - Unknown field policy
+ * @returns {Object} { valid, violations: [{ path, message }] }
+ */
+function validate(schema, value, options = {}) {
+  const unknownFields = options.unknownFields || 'allow';
+
+  if (!UNKNOWN_FIELD_POLICIES.includes(unknownFields)) {
+    throw new Error(`Invalid unknown field policy: ${unknownFields}`);
+  }
+
+  const violations = [];
+
+  if (value === undefined) {
+    violations.push({ path: '$', message: 'is required' });
+  } else {
+    validateNode(schema, value, '$', { unknownFields, violations });
+  }
+
+  return {
+    valid: violations.length === 0,
+    violations
+  };
+}
+
+/**
+ * Validate a single node and recurse into children
+ */
+function validateNode(schema, value, path, ctx) {
+  if (value === null) {
+    if (!schema.nullable) {
+      ctx.violations.push({ path, message: 'must not be null' });
+    }
+    return;
+  }
+
+  if (!matchesType(schema.type, value)) {
+    ctx.violations.push({ path, message: `must be ${describeType(schema.type)}` });
+    return;
+  }
+
+  switch (schema.type) {
+    case 'object':
+      validateObject(schema, value, path, ctx);
+      break;
+    case 'array':
+      validateArray(schema, value, path, ctx);
+      break;
+    case 'string':
+      validateString(schema, value, path, ctx);
+      break;
+    case 'integer':
+    case 'number':
+      validateNumber(schema, value, path, ctx);
+      break;
+  }
+}
+
+function validateObject(schema, value, path, ctx) {
+  const properties = schema.properties || {};
+
+  for (const [key, childSchema] of Object.entries(properties)) {
+    const childPath = `${path}.${key}`;
+
+    if (value[key] === undefined) {
+      if (childSchema.required) {
+        ctx.violations.push({ path: childPath, message: 'is required' });
+      }
+      continue;
+    }
+
+    validateNode(childSchema, value[key], childPath, ctx);
+  }
+
+  if (schema.values) {
+    for (const [key, item] of Object.entries(value)) {
+      if (Object.prototype.hasOwnProperty.call(properties, key)) {
+        continue;
+      }
+
+      const childPath = `${path}.${key}`;
+
+      if (schema.keyPattern && !schema.keyPattern.test(key)) {
+        ctx.violations.push({ path: childPath, message: schema.keyPatternMessage || `key must match ${schema.keyPattern}` });
+        continue;
+      }
+
+      validateNode(schema.values, item, childPath, ctx);
+    }
+  }
+
+  if (schema.requiredGroups) {
+    const isPresent = (key) => value[key] !== undefined && value[key] !== null && value[key] !== '';
+    const satisfied = schema.requiredGroups.some(group => group.every(isPresent));
+
+    if (!satisfied) {
+      const alternatives = schema.requiredGroups.map(group => group.join(' + ')).join(' or ');
+      ctx.violations.push({ path, message: `requires ${alternatives}` });
+    }
+  }
+
+  if (schema.exclusive) {
+    const present = schema.exclusive.filter(key => value[key] !== undefined && value[key] !== null);
+
+    if (present.length > 1) {
+      ctx.violations.push({ path, message: `accepts only one of ${schema.exclusive.join(', ')}` });
+    }
+  }
+
+  if (schema.additionalProperties || schema.values || ctx.unknownFields === 'allow') {
+    return;
+  }
+
+  for (const key of Object.keys(value)) {
+    if (Object.prototype.hasOwnProperty.call(properties, key)) {
+      continue;
+    }
+
+    if (ctx.unknownFields === 'strip') {
+      delete value[key];
+    } else {
+      ctx.violations.push({ path: `${path}.${key}`, message: 'is not allowed' });
+    }
+  }
+}
+
+function validateArray(schema, value, path, ctx) {
+  if (schema.minItems !== undefined && value.length < schema.minItems) {
+    ctx.violations.push({ path, message: `must contain at least ${schema.minItems} item(s)` });
+  }
+
+  if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+    ctx.violations.push({ path, message: `must contain at most ${schema.maxItems} item(s)` });
+  }
+
+  if (schema.items) {
+    value.forEach((item, index) => validateNode(schema.items, item, `${path}[${index}]`, ctx));
+  }
+}
+
+function validateString(schema, value, path, ctx) {
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    ctx.violations.push({
+      path,
+      message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`
+    });
+  }
+
+  if (schema.pattern && !schema.pattern.test(value)) {
+    ctx.violations.push({ path, message: schema.patternMessage || `must match ${schema.pattern}` });
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    ctx.violations.push({ path, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+}
+
+function validateNumber(schema, value, path, ctx) {
+  if (schema.min !== undefined && value < schema.min) {
+    ctx.violations.push({ path, message: `must be >= ${schema.min}` });
+  }
+
+  if (schema.max !== undefined && value > schema.max) {
+    ctx.violations.push({ path, message: `must be <= ${schema.max}` });
+  }
+}
+
+function matchesType(type, value) {
+  switch (type) {
+    case 'object':
+      return typeof value === 'object' && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+function describeType(type) {
+  return type === 'array' || type === 'object' || type === 'integer' ? `an ${type}` : `a ${type}`;
+}
+
+module.exports = {
+  UNKNOWN_FIELD_POLICIES,
+  validate
+};
@@ -0,0 +1,178 @@
+// steam_worker/src/session_limiter.js
+
+/**
+ * Per-account locking and worker-wide session cap
+ *
+ * Two Steam logons for the same account kick each other off
+ * (LoggedInElsewhere), so only one batch per account may run at a time.
+ * A second request for a busy account is either queued behind the
+ * running one or rejected (409), depending on `accountLockMode`.
+ *
+ * Admission is synchronous, so callers can answer 409/429 before doing
+ * any work. Queued requests count toward `maxSessions`, since each of
+ * them will open a Steam session once its turn comes.
+ */
+
+const ACCOUNT_LOCK_MODES = ['queue', 'reject'];
+
+class SessionLimiter {
+  /**
+   * @param {Object} logger - Logger instance
+   * @param {Object} options - Limiter options
+   * @param {number} options.maxSessions - Max simultaneous (running + queued) sessions
+   * @param {string} options.accountLockMode - 'queue' or 'reject' for busy accounts
+   * @param {number} options.retryAfterSeconds - Retry-After hint when the cap is reached
+   */
+  constructor(logger = console, options = {}) {
+    this.logger = logger;
+    this.maxSessions = options.maxSessions !== undefined ? options.maxSessions : 10;
+    this.accountLockMode = options.accountLockMode || 'queue';
+    this.retryAfterSeconds = options.retryAfterSeconds || 30;
+
+    if (!ACCOUNT_LOCK_MODES.includes(this.accountLockMode)) {
+      throw new Error(`Invalid account lock mode: ${this.accountLockMode} (expected ${ACCOUNT_LOCK_MODES.join(', ')})`);
+    }
+
+    this.admitted = 0;
+
+    // account key -> { holder: ticket | null, waiters: [{ ticket, resolve }] }
+    this.accounts = new Map();
+  }
+
+  /**
+   * Admit a request for an account
+   *
+   * @param {string} username - Steam account name (lock key)
+   * @returns {Object} { admitted: true, ticket } or { admitted: false, status, error, retryAfterSeconds }
+   */
+  admit(username) {
+    const key = username.toLowerCase();
+    const state = this.accounts.get(key);
+
+    if (state && this.accountLockMode === 'reject') {
+      this.logger.warn(`[LIMITER] Rejecting request for busy account ${username}`);
+      return {
+        admitted: false,
+        status: 409,
+        error: `Account ${username} is already being processed`
+      };
+    }
+
+    if (this.admitted >= this.maxSessions) {
+      this.logger.warn(`[LIMITER] Session cap reached (${this.admitted}/${this.maxSessions}), rejecting ${username}`);
+      return {
+        admitted: false,
+        status: 429,
+        error: `Worker session limit reached (${this.maxSessions})`,
+        retryAfterSeconds: this.retryAfterSeconds
+      };
+    }
+
+    this.admitted++;
+
+    if (!state) {
+      this.accounts.set(key, { holder: null, waiters: [] });
+    }
+
+    const ticket = {
+      key,
+      username,
+      acquired: false,
+      released: false,
+      acquire: (signal) => this.acquire(ticket, signal),
+      release: () => this.release(ticket)
+    };
+
+    return { admitted: true, ticket };
+  }
+
+  /**
+   * Wait for the account lock
+   *
+   * @returns {Promise<boolean>} True once the lock is held, false if the signal aborted first
+   */
+  acquire(ticket, signal = null) {
+    const state = this.accounts.get(ticket.key);
+
+    if (!state.holder) {
+      state.holder = ticket;
+      ticket.acquired = true;
+      return Promise.resolve(true);
+    }
+
+    if (signal && signal.aborted) {
+      return Promise.resolve(false);
+    }
+
+    this.logger.info(`[LIMITER] Account ${ticket.username} busy, queued (${state.waiters.length + 1} waiting)`);
+
+    return new Promise((resolve) => {
+      const waiter = { ticket, resolve };
+      state.waiters.push(waiter);
+
+      if (signal) {
+        signal.addEventListener('abort', () => {
+          const index = state.waiters.indexOf(waiter);
+          if (index !== -1) {
+            state.waiters.splice(index, 1);
+            resolve(false);
+          }
+        }, { once: true });
+      }
+    });
+  }
+
+  /**
+   * Release the account lock (if held) and the session slot
+   */
+  release(ticket) {
+    if (ticket.released) {
+      return;
+    }
+
+    ticket.released = true;
+    this.admitted--;
+
+    const state = this.accounts.get(ticket.key);
+
+    if (state.holder === ticket) {
+      const next = state.waiters.shift();
+      state.holder = next ? next.ticket : null;
+
+      if (next) {
+        next.ticket.acquired = true;
+        next.resolve(true);
+      }
+    } else {
+      state.waiters = state.waiters.filter(waiter => waiter.ticket !== ticket);
+    }
+
+    if (!state.holder && state.waiters.length === 0) {
+      this.accounts.delete(ticket.key);
+    }
+  }
+
+  /**
+   * Current usage (for health reporting)
+   */
+  getStats() {
+    let running = 0;
+    let queued = 0;
+
+    for (const state of this.accounts.values()) {
+      running += state.holder ? 1 : 0;
+      queued += state.waiters.length;
+    }
+
+    return {
+      running,
+      queued,
+      max_sessions: this.maxSessions,
+      account_lock_mode: this.accountLockMode
+    };
+  }
+}
+
+SessionLimiter.ACCOUNT_LOCK_MODES = ACCOUNT_LOCK_MODES;
+
+module.exports = SessionLimiter;
@@ -0,0 +1,295 @@
+// steam_worker/src/session_pool.js
+
+const crypto = require('crypto');
+
+/**
+ * Pool of warm, authenticated Steam clients (one per account)
+ *
+ * After a batch, SteamConnector checks its client in instead of logging
+ * off. The next batch for the same account (with the same credentials)
+ * checks it out and skips logon and the friends-list wait. Sessions are
+ * closed after `idleTtlMs` without use, and evicted as soon as Steam
+ * reports `disconnected` or `error`.
+ *
+ * Idle sessions stay logged on, so the pool holds at most `maxSize` of
+ * them (the worker's session cap); checking in past that logs off the
+ * least recently used idle session. The server also evicts idle sessions
+ * before admitting a request that would exceed the cap.
+ */
+class SessionPool {
+  /**
+   * @param {Object} logger - Logger instance
+   * @param {Object} options - Pool options
+   * @param {number} options.idleTtlMs - Idle time before a pooled session is logged off
+   * @param {number} options.maxSize - Max pooled sessions (unbounded if omitted)
+   */
+  constructor(logger = console, options = {}) {
+    this.logger = logger;
+    this.idleTtlMs = options.idleTtlMs || 10 * 60 * 1000;
+    this.maxSize = options.maxSize !== undefined ? options.maxSize : Infinity;
+
+    // Increases on every checkin, orders idle sessions by last use
+    this.checkins = 0;
+
+    // account key -> session entry
+    this.sessions = new Map();
+  }
+
+  /**
+   * Fingerprint of the credentials a session was opened with
+   * A pooled session is only handed to callers presenting the same credentials
+   */
+  static fingerprint(credentials) {
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify([
+        credentials.username,
+        credentials.password || null,
+        credentials.sharedSecret || null,
+        credentials.refreshToken || null
+      ]))
+      .digest('hex');
+  }
+
+  /**
+   * Take a warm session for an account
+   *
+   * @returns {Object|null} { client, steamId } or null if none is usable
+   */
+  checkout(username, fingerprint) {
+    const key = username.toLowerCase();
+    const session = this.sessions.get(key);
+
+    if (!session || session.inUse) {
+      return null;
+    }
+
+    if (session.fingerprint !== fingerprint || !session.client.steamID) {
+      this.evict(key, session.fingerprint !== fingerprint ? 'credentials changed' : 'not logged on');
+      return null;
+    }
+
+    clearTimeout(session.idleTimer);
+    session.idleTimer = null;
+    session.inUse = true;
+    session.useCount++;
+    session.lastUsedAt = new Date().toISOString();
+
+    this.logger.info(`[POOL] Reusing warm session for ${username} (use #${session.useCount})`);
+
+    return { client: session.client, steamId: session.steamId };
+  }
+
+  /**
+   * Return (or add) a logged on client to the pool
+   */
+  checkin(username, fingerprint, client, steamId) {
+    const key = username.toLowerCase();
+    let session = this.sessions.get(key);
+
+    if (session && session.client !== client) {
+      // Another session for this account is already pooled, keep the newer one
+      this.evict(key, 'replaced');
+      session = null;
+    }
+
+    if (session && session.closeOnCheckin) {
+      session.inUse = false;
+      this.evict(key, 'closed while in use');
+      return;
+    }
+
+    if (!session) {
+      session = {
+        key,
+        username,
+        fingerprint,
+        client,
+        steamId,
+        inUse: false,
+        closeOnCheckin: false,
+        useCount: 1,
+        createdAt: new Date().toISOString(),
+        lastUsedAt: new Date().toISOString(),
+        idleTimer: null
+      };
+      this.sessions.set(key, session);
+      this.attachEvictionHandlers(session);
+      this.logger.info(`[POOL] Pooled session for ${username}`);
+    }
+
+    session.inUse = false;
+    session.idleSince = Date.now();
+    session.checkinOrder = ++this.checkins;
+    session.idleTimer = setTimeout(() => this.evict(key, 'idle timeout'), this.idleTtlMs);
+    session.idleTimer.unref();
+
+    this.enforceMaxSize();
+  }
+
+  /**
+   * Log off least recently used idle sessions until the pool fits maxSize
+   * Sessions in use are never evicted (their batch holds a session slot anyway)
+   */
+  enforceMaxSize() {
+    while (this.sessions.size > this.maxSize) {
+      if (!this.evictLeastRecentlyUsed(null, `pool full (max ${this.maxSize})`)) {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Idle sessions (still logged on), optionally not counting one account's
+   */
+  idleCount(exceptUsername = null) {
+    return this.idleSessions(exceptUsername).length;
+  }
+
+  /**
+   * Log off the least recently used idle session
+   *
+   * @param {string} exceptUsername - Account whose session is kept (e.g. about to be reused)
+   * @param {string} reason - For logging
+   * @returns {boolean} False if there was no idle session to evict
+   */
+  evictLeastRecentlyUsed(exceptUsername, reason) {
+    const [oldest] = this.idleSessions(exceptUsername).sort((a, b) => a.checkinOrder - b.checkinOrder);
+
+    if (!oldest) {
+      return false;
+    }
+
+    return this.evict(oldest.key, reason);
+  }
+
+  /**
+   * Sessions not checked out
+   */
+  idleSessions(exceptUsername = null) {
+    const exceptKey = exceptUsername ? exceptUsername.toLowerCase() : null;
+    return [...this.sessions.values()].filter(session => !session.inUse && session.key !== exceptKey);
+  }
+
+  /**
+   * Evict pooled sessions when Steam drops them
+   */
+  attachEvictionHandlers(session) {
+    // Connection-phase listeners from the connector are no longer relevant
+    session.client.removeAllListeners();
+
+    // A dropped session must stay dropped: steam-user would otherwise log it back on untracked
+    if (typeof session.client.setOption === 'function') {
+      session.client.setOption('autoRelogin', false);
+    }
+
+    session.client.on('disconnected', (eresult, msg) => {
+      this.evict(session.key, `disconnected (${msg || eresult})`, true);
+    });
+
+    session.client.on('error', (err) => {
+      this.evict(session.key, `error (${err.message})`, true);
+    });
+  }
+
+  /**
+   * Remove a session from the pool and log it off
+   *
+   * A session in use is only dropped from the pool: its connector still
+   * owns the client (and its listeners) and closes it after the batch.
+   *
+   * @param {string} key - Account key
+   * @param {string} reason - For logging
+   * @param {boolean} fromSteam - Steam dropped the session (log off once steam-user's handler returns)
+   */
+  evict(key, reason, fromSteam = false) {
+    const session = this.sessions.get(key);
+
+    if (!session) {
+      return false;
+    }
+
+    clearTimeout(session.idleTimer);
+    this.sessions.delete(key);
+    this.logger.info(`[POOL] Evicted session for ${session.username}: ${reason}`);
+
+    if (session.inUse) {
+      return true;
+    }
+
+    const { client } = session;
+    client.removeAllListeners();
+    // Late errors from the closing client must not crash the process
+    client.on('error', () => {});
+
+    const logOff = () => {
+      try {
+        client.logOff();
+      } catch (error) {
+        this.logger.warn(`[POOL] Error logging off ${session.username}: ${error.message}`);
+      }
+    };
+
+    if (fromSteam) {
+      setImmediate(logOff);
+    } else {
+      logOff();
+    }
+
+    return true;
+  }
+
+  /**
+   * Force-close a pooled session
+   * A session currently in use is closed when its batch checks it back in
+   *
+   * @returns {string|null} 'closed', 'closing' or null if not pooled
+   */
+  close(username) {
+    const key = username.toLowerCase();
+    const session = this.sessions.get(key);
+
+    if (!session) {
+      return null;
+    }
+
+    if (session.inUse) {
+      session.closeOnCheckin = true;
+      this.logger.info(`[POOL] Session for ${session.username} in use, will close after its batch`);
+      return 'closing';
+    }
+
+    this.evict(key, 'force closed');
+    return 'closed';
+  }
+
+  /**
+   * Force-close every pooled session
+   */
+  closeAll() {
+    return [...this.sessions.values()].map(session => ({
+      username: session.username,
+      status: this.close(session.username)
+    }));
+  }
+
+  /**
+   * List pooled sessions
+   */
+  list() {
+    return [...this.sessions.values()].map(session => ({
+      username: session.username,
+      steam_id: session.steamId,
+      state: session.inUse ? 'in_use' : 'idle',
+      closing: session.closeOnCheckin,
+      use_count: session.useCount,
+      created_at: session.createdAt,
+      last_used_at: session.lastUsedAt,
+      idle_expires_at: session.inUse
+        ? null
+        : new Date(session.idleSince + this.idleTtlMs).toISOString()
+    }));
+  }
+}
+
+module.exports = SessionPool;
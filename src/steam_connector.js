@@ -2,15 +2,66 @@
 
 const SteamUser = require('steam-user');
 const SteamTotp = require('steam-totp');
+const TotpRegistry = require('./totp_registry');
+const { classifyLoginError } = require('./login_errors');
+const SessionPool = require('./session_pool');
+const { friendLimitForLevel } = require('./friend_limit');
+const { ErrorPolicy } = require('./error_policy');
+
+const { EFriendRelationship } = SteamUser;
+
+// EFriendRelationship -> relationship type (every listed entry uses a friend slot)
+const RELATIONSHIP_TYPES = {
+  [EFriendRelationship.Friend]: 'friend',
+  [EFriendRelationship.RequestInitiator]: 'invite_sent',
+  [EFriendRelationship.RequestRecipient]: 'invite_received',
+  [EFriendRelationship.Blocked]: 'ignored',
+  [EFriendRelationship.Ignored]: 'ignored',
+  [EFriendRelationship.IgnoredFriend]: 'ignored'
+};
 
 /**
  * Steam connector for worker instances
  * Simplified version without database dependencies
  */
 class SteamConnector {
-  constructor(logger = console) {
+  /**
+   * @param {Object} logger - Logger instance
+   * @param {Object} options - Connector options
+   * @param {Function} options.clientFactory - Creates the Steam client (defaults to `new SteamUser()`)
+   * @param {number} options.connectionTimeoutMs - Logon timeout
+   * @param {number} options.inviteTimeoutMs - addFriend callback timeout
+   * @param {number} options.personaTimeoutMs - Persona and Steam level lookup timeout
+   * @param {number} options.cancelConfirmTimeoutMs - Wait for Steam to confirm a removed invite
+   * @param {number} options.verificationDelayMs - Wait before verifying a timed out invite
+   * @param {number} options.friendsListWaitMs - Wait when the friends list is not loaded yet
+   * @param {Object} options.totpRegistry - Consumed 2FA code registry (defaults to the process-wide one)
+   * @param {Object} options.errorPolicy - ErrorPolicy mapping invite eresults (defaults to ErrorPolicy.defaults)
+   * @param {number} options.maxTotpWaitMs - Max wait for a fresh 2FA code when the current one was used
+   * @param {number} options.maxLoginRetries - Automatic retries for transient login failures
+   * @param {number} options.loginRetryDelayMs - Delay between login retries
+   * @param {number} options.refreshTokenWaitMs - How long after a password logon to wait for the new refresh token
+   * @param {Object} options.sessionPool - Optional SessionPool to reuse warm sessions across requests
+   */
+  constructor(logger = console, options = {}) {
     this.logger = logger;
     
+    // Client creation and timing (overridable for offline testing)
+    this.clientFactory = options.clientFactory || (() => new SteamUser());
+    this.connectionTimeoutMs = options.connectionTimeoutMs || 30000;
+    this.inviteTimeoutMs = options.inviteTimeoutMs || 30000;
+    this.personaTimeoutMs = options.personaTimeoutMs || 10000;
+    this.cancelConfirmTimeoutMs = options.cancelConfirmTimeoutMs !== undefined ? options.cancelConfirmTimeoutMs : 10000;
+    this.verificationDelayMs = options.verificationDelayMs !== undefined ? options.verificationDelayMs : 2000;
+    this.friendsListWaitMs = options.friendsListWaitMs !== undefined ? options.friendsListWaitMs : 3000;
+    this.totpRegistry = options.totpRegistry || TotpRegistry.shared;
+    this.errorPolicy = options.errorPolicy || ErrorPolicy.defaults;
+    this.maxTotpWaitMs = options.maxTotpWaitMs !== undefined ? options.maxTotpWaitMs : 35000;
+    this.maxLoginRetries = options.maxLoginRetries !== undefined ? options.maxLoginRetries : 2;
+    this.loginRetryDelayMs = options.loginRetryDelayMs !== undefined ? options.loginRetryDelayMs : 5000;
+    this.refreshTokenWaitMs = options.refreshTokenWaitMs !== undefined ? options.refreshTokenWaitMs : 7000;
+    this.sessionPool = options.sessionPool || null;
+    
     // Current connection state
     this.client = null;
     this.isConnected = false;
@@ -18,6 +69,13 @@ class SteamConnector {
     
     // Connection management
     this.connectionTimeout = null;
+    this.usedRefreshToken = null;
+    this.issuedRefreshToken = null;
+    this.refreshTokenDeadline = null;
+    this.refreshTokenWait = null;
+    this.endRefreshTokenWait = null;
+    this.poolUsername = null;
+    this.poolFingerprint = null;
     this.lastUsedCode = null;
     this.lastCodeTimestamp = null;
     this.connectionAttempts = 0;
@@ -29,42 +87,138 @@ class SteamConnector {
 
   /**
    * Connect to Steam with provided credentials
+   *
+   * Failed logins are classified (see login_errors.js) and only transient
+   * categories are retried, up to maxLoginRetries times. Failed results
+   * carry `loginError`; every result carries the number of `attempts`.
+   *
+   * With a session pool, a warm session for the same credentials is
+   * reused instead of logging on (attempts: 0, reused: true).
    */
   async connect(credentials) {
     this.connectionAttempts = 0;
+    this.issuedRefreshToken = null;
+    this.refreshTokenDeadline = null;
+    this.refreshTokenWait = null;
+
+    if (this.sessionPool) {
+      this.poolUsername = credentials.username;
+      this.poolFingerprint = SessionPool.fingerprint(credentials);
+
+      const pooled = this.sessionPool.checkout(this.poolUsername, this.poolFingerprint);
+
+      if (pooled) {
+        this.client = pooled.client;
+        this.isConnected = true;
+        this.steamId = pooled.steamId;
+        this.logger.info(`[STEAM] ✓ Reusing pooled session for ${credentials.username}`);
+
+        return {
+          success: true,
+          client: this.client,
+          authMethod: 'pooled_session',
+          reused: true,
+          attempts: 0
+        };
+      }
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      const connectionResult = await this.connectOnce(credentials);
+      connectionResult.attempts = attempt;
+
+      if (connectionResult.success) {
+        return connectionResult;
+      }
+
+      const loginError = classifyLoginError(connectionResult);
+      connectionResult.loginError = loginError;
+
+      if (!loginError.retryable || attempt > this.maxLoginRetries) {
+        this.logger.error(`[STEAM] Login failed: ${loginError.category} (action: ${loginError.action})`);
+        return connectionResult;
+      }
+
+      this.logger.warn(`[STEAM] Login failed (${loginError.category}), retry ${attempt}/${this.maxLoginRetries} in ${Math.round(this.loginRetryDelayMs / 1000)}s...`);
+      await this.cleanup();
+      await this.wait(this.loginRetryDelayMs);
+    }
+  }
+
+  /**
+   * Single connection (one logon, plus the password fallback if needed)
+   *
+   * Logs in with credentials.refreshToken when present. Password + TOTP is
+   * used when no token is given, or as a fallback if the token is rejected.
+   */
+  async connectOnce(credentials) {
     const username = credentials.username;
+    const canUsePassword = Boolean(credentials.password && credentials.sharedSecret);
     
     this.logger.info(`[STEAM] Connecting as ${username}...`);
+
+    if (credentials.refreshToken) {
+      this.usedRefreshToken = credentials.refreshToken;
+
+      const tokenResult = await this.attemptLogon(username, 'refresh_token', () => ({
+        refreshToken: credentials.refreshToken
+      }));
+
+      if (tokenResult.success || !canUsePassword) {
+        return tokenResult;
+      }
+
+      this.logger.warn(`[STEAM] Refresh token logon failed (${tokenResult.error}), falling back to password + TOTP`);
+      await this.cleanup();
+    }
+
+    return this.attemptLogon(username, 'password', async () => ({
+      accountName: username,
+      password: credentials.password,
+      twoFactorCode: await this.acquireFresh2FACode(username, credentials.sharedSecret),
+      rememberPassword: true
+    }));
+  }
+
+  /**
+   * Single logon attempt with a fresh client
+   *
+   * @param {string} username - Account name (for logging)
+   * @param {string} authMethod - 'refresh_token' or 'password'
+   * @param {Function} buildLogOnOptions - Resolves logOn details (called right before logOn)
+   * @returns {Promise<Object>} Connection result
+   */
+  async attemptLogon(username, authMethod, buildLogOnOptions) {
+    this.connectionAttempts++;
     
     try {
+      // Build login options first (may wait for an unused 2FA code)
+      const logOnOptions = await buildLogOnOptions();
+      
       // Create new Steam client
-      this.client = new SteamUser();
+      this.client = this.clientFactory();
       
       // Setup event handlers BEFORE attempting connection
       await this.setupConnectionHandlers();
       
-      // Generate fresh 2FA code
-      const twoFactorCode = this.generateAndTrackFresh2FACode(credentials.sharedSecret);
-      
-      // Build login options
-      const logOnOptions = {
-        accountName: username,
-        password: credentials.password,
-        twoFactorCode: twoFactorCode
-      };
-      
-      this.logger.info(`[STEAM] Attempting logon for ${username}...`);
+      this.logger.info(`[STEAM] Attempting logon for ${username} (${authMethod})...`);
       
       // Attempt connection
       this.client.logOn(logOnOptions);
       
       // Wait for connection result
       const connectionResult = await this.waitForConnection();
+      connectionResult.authMethod = authMethod;
       
       if (connectionResult.success) {
         this.isConnected = true;
         this.steamId = this.client.steamID ? this.client.steamID.getSteamID64() : null;
         this.logger.info(`[STEAM] ✓ Connected successfully as ${username}`);
+
+        // Only password logons (rememberPassword) get a new refresh token
+        if (authMethod === 'password') {
+          this.startRefreshTokenWait();
+        }
       }
       
       return connectionResult;
@@ -75,7 +229,9 @@ class SteamConnector {
       
       return {
         success: false,
-        error: error.message
+        error: error.message,
+        eresult: error.eresult !== undefined ? error.eresult : null,
+        authMethod: authMethod
       };
     }
   }
@@ -96,23 +252,102 @@ class SteamConnector {
       this.client.once('disconnected', (eresult, msg) => {
         this.logger.info(`[STEAM] Disconnected event: ${msg}`);
       });
+
+      // steam-user 4.x emits the refresh token of a password logon as `loginKey`, ~5s after logon
+      this.client.on('loginKey', (token) => this.recordIssuedRefreshToken(token));
       
       resolve();
     });
   }
 
+  /**
+   * Keep a refresh token issued by Steam during this session
+   * The token used to log in is not reported back as new
+   */
+  recordIssuedRefreshToken(token) {
+    if (!token || token === this.usedRefreshToken) {
+      return;
+    }
+
+    this.logger.info('[STEAM] New refresh token issued');
+    this.issuedRefreshToken = token;
+  }
+
+  /**
+   * Start waiting for the refresh token at logon, so the wait overlaps the
+   * session's work (settles on `loginKey` or after refreshTokenWaitMs)
+   */
+  startRefreshTokenWait() {
+    const client = this.client;
+    this.refreshTokenDeadline = Date.now() + this.refreshTokenWaitMs;
+
+    this.refreshTokenWait = new Promise((resolve) => {
+      const done = () => {
+        clearTimeout(timeout);
+        client.removeListener('loginKey', done);
+        if (this.endRefreshTokenWait === done) {
+          this.endRefreshTokenWait = null;
+        }
+        resolve();
+      };
+      const timeout = setTimeout(done, this.refreshTokenWaitMs);
+      client.once('loginKey', done);
+      this.endRefreshTokenWait = done;
+    });
+  }
+
+  /**
+   * Refresh token issued during this session, waiting for it if it may still arrive
+   *
+   * steam-user only emits it on a timer after a password logon, so a short
+   * session waits for what is left of refreshTokenWaitMs after logon. An
+   * aborted request doesn't wait (or stops waiting) and reports what it has.
+   *
+   * @param {AbortSignal} signal - Optional cancellation signal
+   * @returns {Promise<string|null>} New refresh token (null if none was issued)
+   */
+  async waitForIssuedRefreshToken(signal = null) {
+    const remainingMs = this.refreshTokenDeadline ? this.refreshTokenDeadline - Date.now() : 0;
+
+    if (!this.issuedRefreshToken && this.refreshTokenWait && remainingMs > 0) {
+      if (signal && signal.aborted) {
+        this.logger.info('[STEAM] Request cancelled, not waiting for the new refresh token');
+      } else {
+        this.logger.info(`[STEAM] Waiting up to ${remainingMs}ms for the new refresh token...`);
+
+        await new Promise((resolve) => {
+          const onAbort = () => resolve();
+          if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+          }
+          this.refreshTokenWait.then(() => {
+            if (signal) {
+              signal.removeEventListener('abort', onAbort);
+            }
+            resolve();
+          });
+        });
+      }
+    }
+
+    this.refreshTokenDeadline = null;
+    this.refreshTokenWait = null;
+    return this.issuedRefreshToken;
+  }
+
   /**
    * Wait for connection to complete
    */
   async waitForConnection() {
     return new Promise((resolve) => {
       const timeout = setTimeout(() => {
-        this.logger.error('[STEAM] Connection timeout after 30s');
+        this.logger.error(`[STEAM] Connection timeout after ${Math.round(this.connectionTimeoutMs / 1000)}s`);
         resolve({
           success: false,
-          error: 'Connection timeout'
+          error: 'Connection timeout',
+          eresult: null
         });
-      }, 30000);
+      }, this.connectionTimeoutMs);
       
       this.client.once('loggedOn', () => {
         clearTimeout(timeout);
@@ -126,12 +361,41 @@ class SteamConnector {
         clearTimeout(timeout);
         resolve({
           success: false,
-          error: err.message
+          error: err.message,
+          eresult: err.eresult !== undefined ? err.eresult : null
         });
       });
     });
   }
 
+  /**
+   * Get a 2FA code not yet consumed by any login of this account in this process
+   *
+   * When the current code was already used, waits for the next TOTP window,
+   * as long as that fits within maxTotpWaitMs.
+   */
+  async acquireFresh2FACode(username, sharedSecret) {
+    const deadline = Date.now() + this.maxTotpWaitMs;
+
+    while (true) {
+      const code = this.generateAndTrackFresh2FACode(sharedSecret);
+
+      if (this.totpRegistry.consume(username, code)) {
+        return code;
+      }
+
+      // Small margin so we land safely inside the next window
+      const waitMs = this.totpRegistry.msUntilNextWindow() + 1000;
+
+      if (Date.now() + waitMs > deadline) {
+        throw new Error(`2FA code already used for ${username} and next code is ${Math.ceil(waitMs / 1000)}s away (max wait ${Math.round(this.maxTotpWaitMs / 1000)}s)`);
+      }
+
+      this.logger.warn(`[STEAM] Current 2FA code already used for ${username}, waiting ${Math.ceil(waitMs / 1000)}s for the next one...`);
+      await this.wait(waitMs);
+    }
+  }
+
   /**
    * Generate and track fresh 2FA code
    */
@@ -174,7 +438,7 @@ class SteamConnector {
         this.logger.warn(`[STEAM] Timeout sending invite to ${steamId}, verifying...`);
         
         // Wait a bit for Steam to sync
-        await this.wait(2000);
+        await this.wait(this.verificationDelayMs);
         
         // Check friends list to see if invite is there
         const verification = await this.verifyInviteStatus(steamId);
@@ -215,7 +479,7 @@ class SteamConnector {
             errorType: 'temporary'
           });
         }
-      }, 30000);
+      }, this.inviteTimeoutMs);
 
       this.client.addFriend(steamId, (err, personaName) => {
         // If timeout already occurred, don't process callback
@@ -241,35 +505,19 @@ class SteamConnector {
   }
 
   /**
-   * Map Steam error to result object
+   * Map Steam error to result object (handling comes from the error policy)
    */
   mapSteamErrorToResult(err, steamId) {
     const eresult = err.eresult || 0;
-    const message = err.message || 'Unknown error';
-    
-    // Error code mapping
-    const errorMap = {
-      14: { type: 'definitive', message: 'Already friends', limitReached: false },
-      15: { type: 'temporary', message: 'Access denied (rate limit)', limitReached: false },  // Changed: limitReached should be false for error 15
-      17: { type: 'definitive', message: 'Account banned', limitReached: false },
-      25: { type: 'temporary', message: 'Limit exceeded', limitReached: true },  // Account-specific limit
-      29: { type: 'temporary', message: 'Timeout', limitReached: false },
-      40: { type: 'definitive', message: 'Blocked by user', limitReached: false },
-      84: { type: 'temporary', message: 'Rate limit reached', limitReached: true }  // Changed: type should be temporary, limitReached should be true
-    };
-    
-    const errorInfo = errorMap[eresult] || { 
-      type: 'temporary', 
-      message: message, 
-      limitReached: false 
-    };
-    
+    const rule = this.errorPolicy.resolve(eresult);
+
     return {
       success: false,
-      error: errorInfo.message,
+      error: rule.message || err.message || 'Unknown error',
       eresult: eresult,
-      errorType: errorInfo.type,
-      limitReached: errorInfo.limitReached
+      eresultName: rule.name,
+      errorType: rule.error_type,
+      limitReached: rule.limit_reached
     };
   }
 
@@ -290,29 +538,13 @@ class SteamConnector {
       // Wait if friends list not loaded yet
       if (Object.keys(friends).length === 0) {
         this.logger.info('[STEAM] Waiting for friends list to load...');
-        await this.wait(3000);
+        await this.wait(this.friendsListWaitMs);
       }
       
       const friendsData = [];
       
       for (const [steamID, relationship] of Object.entries(friends)) {
-        let relationshipType;
-        switch (relationship) {
-          case 3:
-            relationshipType = 'friend';
-            break;
-          case 4:
-            relationshipType = 'invite_sent';
-            break;
-          case 1:
-            relationshipType = 'invite_received';
-            break;
-          case 2:
-            relationshipType = 'ignored'; // Previously incorrectly treated as invite_sent
-            break;
-          default:
-            relationshipType = 'unknown';
-        }
+        const relationshipType = RELATIONSHIP_TYPES[relationship] || 'unknown';
         
         friendsData.push({
           steamId: steamID,
@@ -344,8 +576,103 @@ class SteamConnector {
     }
   }
 
+  /**
+   * Look up persona names
+   * Names already cached by the client are used as-is; a failed or timed
+   * out lookup leaves the remaining names null instead of failing
+   *
+   * @param {Array<string>} steamIds - SteamID64s
+   * @returns {Promise<Object>} { steamId64: name | null }
+   */
+  async getPersonaNames(steamIds) {
+    const names = {};
+    const missing = [];
+    const users = (this.client && this.client.users) || {};
+
+    for (const steamId of steamIds) {
+      const cached = users[steamId] && users[steamId].player_name;
+      names[steamId] = cached || null;
+      if (!cached) {
+        missing.push(steamId);
+      }
+    }
+
+    if (missing.length === 0 || !this.client || !this.client.steamID) {
+      return names;
+    }
+
+    const personas = await new Promise((resolve) => {
+      const timeout = setTimeout(() => {
+        this.logger.warn(`[STEAM] Persona lookup timed out for ${missing.length} users`);
+        resolve({});
+      }, this.personaTimeoutMs);
+
+      try {
+        this.client.getPersonas(missing, (err, result) => {
+          clearTimeout(timeout);
+          if (err) {
+            this.logger.warn(`[STEAM] Persona lookup failed: ${err.message}`);
+          }
+          resolve(result || {});
+        });
+      } catch (error) {
+        clearTimeout(timeout);
+        this.logger.warn(`[STEAM] Persona lookup failed: ${error.message}`);
+        resolve({});
+      }
+    });
+
+    for (const steamId of missing) {
+      if (personas[steamId] && personas[steamId].player_name) {
+        names[steamId] = personas[steamId].player_name;
+      }
+    }
+
+    return names;
+  }
+
+  /**
+   * Look up the logged in account's Steam level
+   * A failed or timed out lookup returns `level: null` instead of failing
+   *
+   * @returns {Promise<Object>} { level, error }
+   */
+  async getSteamLevel() {
+    if (!this.client || !this.client.steamID) {
+      return { level: null, error: 'Not connected to Steam' };
+    }
+
+    const steamId = this.client.steamID.getSteamID64();
+
+    return new Promise((resolve) => {
+      const timeout = setTimeout(() => {
+        this.logger.warn(`[STEAM] Steam level lookup timed out`);
+        resolve({ level: null, error: 'Steam level lookup timed out' });
+      }, this.personaTimeoutMs);
+
+      try {
+        this.client.getSteamLevels([steamId], (err, levels) => {
+          clearTimeout(timeout);
+          if (err) {
+            this.logger.warn(`[STEAM] Steam level lookup failed: ${err.message}`);
+            resolve({ level: null, error: err.message });
+            return;
+          }
+
+          const level = levels && Number.isInteger(levels[steamId]) ? levels[steamId] : null;
+          resolve({ level, error: level === null ? 'Steam level not returned' : undefined });
+        });
+      } catch (error) {
+        clearTimeout(timeout);
+        this.logger.warn(`[STEAM] Steam level lookup failed: ${error.message}`);
+        resolve({ level: null, error: error.message });
+      }
+    });
+  }
+
   /**
    * Get account statistics
+   * `friendLimit` follows the account's Steam level (base limit if the level is unknown)
    */
   async getAccountStatistics() {
     const friendsList = await this.getFriendsList();
@@ -354,14 +681,19 @@ class SteamConnector {
       return friendsList;
     }
 
+    const { level } = await this.getSteamLevel();
+    const friendLimit = friendLimitForLevel(level);
+
     const stats = {
       totalSlots: friendsList.totalFriends,
       confirmedFriends: friendsList.confirmedFriends.length,
       pendingInvitesSent: friendsList.pendingInvites.length,
       pendingInvitesReceived: friendsList.receivedInvites.length,
-      availableSlots: Math.max(0, 250 - friendsList.totalFriends),
-      needsCleanup: friendsList.totalFriends > 270,
-      slotsToFree: Math.max(0, friendsList.totalFriends - 270)
+      steamLevel: level,
+      friendLimit,
+      availableSlots: Math.max(0, friendLimit - friendsList.totalFriends),
+      needsCleanup: friendsList.totalFriends > friendLimit,
+      slotsToFree: Math.max(0, friendsList.totalFriends - friendLimit)
     };
 
     return {
@@ -372,39 +704,142 @@ class SteamConnector {
   }
 
   /**
-   * Cancel friend invite (simple version)
+   * Cancel a friend invite and wait for Steam to confirm it
+   *
+   * Confirmation is the `friendRelationship` change to None (0). If none
+   * arrives within cancelConfirmTimeoutMs, the invite counts as confirmed
+   * only if it has disappeared from myFriends; otherwise it is reported
+   * as unconfirmed (`success: true, confirmed: false`).
+   * The same removal declines a received invite.
+   *
+   * @returns {Promise<Object>} { success, confirmed, steamId, error }
    */
-  async cancelFriendInviteSimple(targetSteamId) {
+  async cancelFriendInvite(targetSteamId) {
     if (!this.client || !this.client.steamID) {
       return {
         success: false,
-        error: 'Not connected to Steam'
+        confirmed: false,
+        error: 'Not connected to Steam',
+        steamId: targetSteamId
       };
     }
 
-    try {
-      this.client.removeFriend(targetSteamId);
-      
-      return {
-        success: true,
-        steamId: targetSteamId
+    const client = this.client;
+
+    return new Promise((resolve) => {
+      let timeout = null;
+
+      const finish = (result) => {
+        clearTimeout(timeout);
+        client.removeListener('friendRelationship', onRelationship);
+        resolve({ steamId: targetSteamId, ...result });
       };
-      
-    } catch (error) {
-      return {
-        success: false,
-        error: error.message,
-        steamId: targetSteamId
+
+      const onRelationship = (steamID, relationship) => {
+        const steamId64 = typeof steamID.getSteamID64 === 'function' ? steamID.getSteamID64() : String(steamID);
+
+        if (steamId64 === targetSteamId && relationship === EFriendRelationship.None) {
+          finish({ success: true, confirmed: true });
+        }
       };
+
+      client.on('friendRelationship', onRelationship);
+
+      timeout = setTimeout(() => {
+        const stillListed = Boolean(client.myFriends && client.myFriends[targetSteamId]);
+
+        if (stillListed) {
+          this.logger.warn(`[STEAM] Removal of ${targetSteamId} not confirmed within ${this.cancelConfirmTimeoutMs}ms`);
+        }
+
+        finish({
+          success: true,
+          confirmed: !stillListed,
+          error: stillListed ? 'Removal not confirmed by Steam' : undefined
+        });
+      }, this.cancelConfirmTimeoutMs);
+
+      try {
+        client.removeFriend(targetSteamId);
+      } catch (error) {
+        finish({ success: false, confirmed: false, error: error.message });
+      }
+    });
+  }
+
+  /**
+   * Accept a received friend invite (addFriend on a pending incoming request)
+   * The entry stays in the friends list as a confirmed friend, so no slot is freed
+   *
+   * @returns {Promise<Object>} { success, steamId, eresult, error }
+   */
+  async acceptFriendInvite(steamId) {
+    return this.callWithTimeout(steamId, 'accept', (callback) => this.client.addFriend(steamId, callback));
+  }
+
+  /**
+   * Clear an ignored (blocked) entry so it stops using a slot
+   *
+   * @returns {Promise<Object>} { success, steamId, eresult, error }
+   */
+  async unblockUser(steamId) {
+    return this.callWithTimeout(steamId, 'unblock', (callback) => this.client.unblockUser(steamId, callback));
+  }
+
+  /**
+   * Run a callback-style client call bounded by inviteTimeoutMs
+   */
+  async callWithTimeout(steamId, action, call) {
+    if (!this.client || !this.client.steamID) {
+      return { success: false, steamId, eresult: null, error: 'Not connected to Steam' };
     }
+
+    return new Promise((resolve) => {
+      let settled = false;
+
+      const finish = (result) => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        clearTimeout(timeout);
+        resolve({ steamId, ...result });
+      };
+
+      const timeout = setTimeout(() => {
+        this.logger.warn(`[STEAM] Timeout on ${action} for ${steamId}`);
+        finish({ success: false, eresult: 16, error: `${action} timed out` });
+      }, this.inviteTimeoutMs);
+
+      try {
+        call((err) => {
+          if (err) {
+            finish({ success: false, eresult: err.eresult || null, error: err.message });
+          } else {
+            finish({ success: true, eresult: 1 });
+          }
+        });
+      } catch (error) {
+        finish({ success: false, eresult: null, error: error.message });
+      }
+    });
   }
 
   /**
    * Disconnect from Steam
    */
   async disconnect() {
-    this.logger.info('[STEAM] Disconnecting...');
-    await this.cleanup();
+    if (this.sessionPool && this.isConnected && this.client && this.client.steamID) {
+      // Keep the session warm for the next batch instead of logging off
+      this.logger.info('[STEAM] Returning session to pool...');
+      await this.cleanup({ keepClient: true });
+      this.sessionPool.checkin(this.poolUsername, this.poolFingerprint, this.client, this.steamId);
+      this.client = null;
+    } else {
+      this.logger.info('[STEAM] Disconnecting...');
+      await this.cleanup();
+    }
+
     this.isConnected = false;
     this.steamId = null;
     this.connectionAttempts = 0;
@@ -412,8 +847,11 @@ class SteamConnector {
 
   /**
    * Cleanup resources
+   *
+   * @param {Object} options - Cleanup options
+   * @param {boolean} options.keepClient - Clear timers only, leave the client logged on
    */
-  async cleanup() {
+  async cleanup(options = {}) {
     // Clear timers
     if (this.freshCodeTimeout) {
       clearTimeout(this.freshCodeTimeout);
@@ -429,9 +867,13 @@ class SteamConnector {
       clearTimeout(this.connectionTimeout);
       this.connectionTimeout = null;
     }
+
+    if (this.endRefreshTokenWait) {
+      this.endRefreshTokenWait();
+    }
     
     // Close client
-    if (this.client) {
+    if (this.client && !options.keepClient) {
       await this.forceCloseClient();
     }
   }
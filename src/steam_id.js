@@ -0,0 +1,95 @@
+// steam_worker/src/steam_id.js
+
+/**
+ * Steam ID normalization
+ *
+ * Accepts the formats produced by the upstream harvester and converts
+ * them to SteamID64 (individual accounts, public universe only):
+ * - SteamID64: 76561198000000000
+ * - Steam2: STEAM_0:1:12345 (STEAM_1 also accepted)
+ * - Steam3: [U:1:24691]
+ * - Profile URL: https://steamcommunity.com/profiles/76561198000000000
+ */
+
+// SteamID64 of account id 0 (universe public, type individual, instance desktop)
+const STEAM_ID64_BASE = 76561197960265728n;
+const MAX_ACCOUNT_ID = 0xFFFFFFFFn;
+
+const STEAM_ID64_PATTERN = /^\d{17}$/;
+const STEAM2_PATTERN = /^STEAM_[01]:([01]):(\d+)$/i;
+const STEAM3_PATTERN = /^\[U:1:(\d+)\]$/i;
+const PROFILE_URL_PATTERN = /^(?:https?:\/\/)?(?:www\.)?steamcommunity\.com\/profiles\/([^/?#]+)\/?(?:[?#].*)?$/i;
+const VANITY_URL_PATTERN = /^(?:https?:\/\/)?(?:www\.)?steamcommunity\.com\/id\//i;
+
+/**
+ * Normalize any supported Steam ID format to SteamID64
+ *
+ * @param {*} input - Raw Steam ID
+ * @returns {Object} { valid: true, steamId64 } or { valid: false, reason }
+ */
+function normalizeSteamId(input) {
+  if (typeof input !== 'string') {
+    return { valid: false, reason: 'Steam ID must be a string' };
+  }
+
+  const value = input.trim();
+
+  if (value === '') {
+    return { valid: false, reason: 'Steam ID is empty' };
+  }
+
+  const profileMatch = value.match(PROFILE_URL_PATTERN);
+  if (profileMatch) {
+    let segment;
+    try {
+      segment = decodeURIComponent(profileMatch[1]);
+    } catch (error) {
+      return { valid: false, reason: 'Invalid profile URL: malformed percent-encoding' };
+    }
+
+    const inner = normalizeSteamId(segment);
+    return inner.valid ? inner : { valid: false, reason: `Invalid profile URL: ${inner.reason}` };
+  }
+
+  if (VANITY_URL_PATTERN.test(value)) {
+    return { valid: false, reason: 'Vanity profile URLs (/id/...) cannot be resolved offline' };
+  }
+
+  if (STEAM_ID64_PATTERN.test(value)) {
+    const accountId = BigInt(value) - STEAM_ID64_BASE;
+
+    if (accountId <= 0n || accountId > MAX_ACCOUNT_ID) {
+      return { valid: false, reason: 'SteamID64 is not an individual account ID' };
+    }
+
+    return { valid: true, steamId64: value };
+  }
+
+  const steam2Match = value.match(STEAM2_PATTERN);
+  if (steam2Match) {
+    const accountId = BigInt(steam2Match[2]) * 2n + BigInt(steam2Match[1]);
+    return fromAccountId(accountId);
+  }
+
+  const steam3Match = value.match(STEAM3_PATTERN);
+  if (steam3Match) {
+    return fromAccountId(BigInt(steam3Match[1]));
+  }
+
+  return { valid: false, reason: 'Unrecognized Steam ID format' };
+}
+
+/**
+ * Build a SteamID64 from a 32-bit account ID
+ */
+function fromAccountId(accountId) {
+  if (accountId <= 0n || accountId > MAX_ACCOUNT_ID) {
+    return { valid: false, reason: 'Account ID out of range' };
+  }
+
+  return { valid: true, steamId64: (STEAM_ID64_BASE + accountId).toString() };
+}
+
+module.exports = {
+  normalizeSteamId
+};
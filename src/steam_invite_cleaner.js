@@ -1,23 +1,63 @@
 // steam_worker/src/steam_invite_cleaner.js 
 
+const SteamUser = require('steam-user');
+const { BASE_FRIEND_LIMIT } = require('./friend_limit');
+
+// Unblocking an IgnoredFriend leaves a friend (same slot), so only these free one
+const CLEARABLE_RELATIONSHIPS = [SteamUser.EFriendRelationship.Blocked, SteamUser.EFriendRelationship.Ignored];
+
 /**
  * Steam Invite Cleaner for worker instances
  * Simplified version without database dependencies
+ * (an optional InviteLedger orders the fallback selection oldest-first)
  */
 class SteamInviteCleaner {
-  constructor(logger = console) {
+  constructor(logger = console, options = {}) {
     this.logger = logger;
+    this.onEvent = options.onEvent || null;
+    this.cancelDelayMs = options.cancelDelayMs !== undefined ? options.cancelDelayMs : 500;
+    this.inviteLedger = options.inviteLedger || null;
+  }
+
+  /**
+   * Emit a progress event to the listener (if any)
+   */
+  emitEvent(type, data = {}) {
+    if (!this.onEvent) {
+      return;
+    }
+
+    try {
+      this.onEvent({ type, timestamp: new Date().toISOString(), ...data });
+    } catch (error) {
+      this.logger.warn(`[CLEANER] Event listener failed on ${type}: ${error.message}`);
+    }
   }
 
   /**
    * Clean up old friend invites to free up slots
+   *
+   * With a cleanup policy, received invites (accepted or declined) and
+   * ignored entries are handled first, each up to its own cap; declined
+   * and cleared entries count toward `slotsToFree`, pending sent invites
+   * are cancelled for whatever remains.
    * 
    * @param {Object} steamConnector - SteamConnector instance (already connected)
    * @param {number} slotsToFree - Number of slots that need to be freed
    * @param {Array} oldestPendingInvites - Steam IDs from DB (oldest first) for prioritization
-   * @returns {Promise<Object>} Cleanup result
+   * @param {Object} options - Cleanup options
+   * @param {AbortSignal} options.signal - Optional cancellation signal
+   * @param {string} options.account - Steam login (ledger key)
+   * @param {Object} options.policy - { accept_received, decline_received, clear_ignored } caps (see request_schemas.js)
+   * @param {number} options.friendLimit - Account friend limit (for logging)
+   * @returns {Promise<Object>} Cleanup result (with a per-category `breakdown`)
    */
-  async cleanupOldInvites(steamConnector, slotsToFree, oldestPendingInvites = []) {
+  async cleanupOldInvites(steamConnector, slotsToFree, oldestPendingInvites = [], options = {}) {
+    const signal = options.signal || null;
+    const account = options.account || null;
+    const policy = options.policy || null;
+    const friendLimit = options.friendLimit || BASE_FRIEND_LIMIT;
+
     try {
       this.logger.info(`[CLEANER] Starting cleanup: need to free ${slotsToFree} slots`);
       
@@ -34,37 +74,82 @@ class SteamInviteCleaner {
 
       // Calculate current breakdown
       const beforeBreakdown = this.calculateSlotBreakdown(friendsResult);
-      this.logger.info(`[CLEANER] Current state: ${beforeBreakdown.total_used}/250 total (${beforeBreakdown.total_friends} friends, ${beforeBreakdown.pending_sent} pending sent)`);
-
-      // Step 2: Select oldest pending invites to cancel (with DB prioritization)
-      const invitesToCancel = this.selectInvitesToCancel(
-        friendsResult.pendingInvites, 
-        slotsToFree,
-        oldestPendingInvites  // ← NUEVO: Pasar lista de la DB
-      );
+      this.logger.info(`[CLEANER] Current state: ${beforeBreakdown.total_used}/${friendLimit} total (${beforeBreakdown.total_friends} friends, ${beforeBreakdown.pending_sent} pending sent, ${beforeBreakdown.pending_received} received, ${beforeBreakdown.ignored} ignored)`);
+
+      // Step 2: Received invites and ignored entries (only with a cleanup policy)
+      const breakdown = this.createCleanupBreakdown();
+
+      if (policy) {
+        await this.applyCleanupPolicy(steamConnector, friendsResult, policy, slotsToFree, breakdown, signal);
+      }
+
+      const policyFreed = breakdown.invite_received.slots_freed + breakdown.ignored.slots_freed;
+      const policyHandled = this.countHandled(breakdown.invite_received) + this.countHandled(breakdown.ignored);
+      const remainingToFree = Math.max(0, slotsToFree - policyFreed);
+
+      // Step 3: Select oldest pending invites to cancel (with DB prioritization)
+      const invitesToCancel = remainingToFree > 0 && !(signal && signal.aborted)
+        ? this.selectInvitesToCancel(
+          friendsResult.pendingInvites, 
+          remainingToFree,
+          oldestPendingInvites,  // ← NUEVO: Pasar lista de la DB
+          account
+        )
+        : [];
       
-      if (invitesToCancel.length === 0) {
-        this.logger.warn(`[CLEANER] No pending invites found to cancel`);
+      if (invitesToCancel.length === 0 && policyHandled === 0) {
+        const cancelled = Boolean(signal && signal.aborted);
+        this.logger.warn(cancelled ? `[CLEANER] Cleanup cancelled before any removal` : `[CLEANER] No pending invites found to cancel`);
         return {
           success: true,
           slots_freed: 0,
           new_overall_slots: beforeBreakdown.total_used,
-          message: 'No pending invites available to cancel'
+          breakdown,
+          message: cancelled ? 'Cleanup cancelled' : 'No pending invites available to cancel',
+          cancelled
         };
       }
 
-      this.logger.info(`[CLEANER] Selected ${invitesToCancel.length} invites to cancel`);
+      let cancelResult = {
+        successful_cancellations: 0,
+        canceled_steam_ids: [],
+        unconfirmed_steam_ids: [],
+        failed_steam_ids: [],
+        cancelled: Boolean(signal && signal.aborted)
+      };
 
-      // Step 3: Cancel invites on Steam
-      const cancelResult = await this.cancelInvitesOnSteam(steamConnector, invitesToCancel);
-      
-      if (!cancelResult.success) {
-        throw new Error(cancelResult.error || 'Steam cancellation failed');
+      if (invitesToCancel.length > 0) {
+        this.logger.info(`[CLEANER] Selected ${invitesToCancel.length} invites to cancel`);
+        this.emitEvent('cleanup_planned', {
+          slots_to_free: remainingToFree,
+          steam_ids: invitesToCancel
+        });
+
+        // Step 4: Cancel invites on Steam
+        cancelResult = await this.cancelInvitesOnSteam(steamConnector, invitesToCancel, signal);
+        
+        // A cancelled cleanup still reports what it did (possibly nothing)
+        if (!cancelResult.success && policyFreed === 0 && !cancelResult.cancelled) {
+          throw new Error(cancelResult.error || 'Steam cancellation failed');
+        }
+
+        this.logger.info(`[CLEANER] Cancellation completed: ${cancelResult.successful_cancellations}/${invitesToCancel.length} confirmed, ${cancelResult.unconfirmed_steam_ids.length} unconfirmed, ${cancelResult.failed_steam_ids.length} failed`);
+
+        if (this.inviteLedger && account) {
+          this.inviteLedger.recordRemoved(account, cancelResult.canceled_steam_ids);
+        }
       }
 
-      this.logger.info(`[CLEANER] Cancellation completed: ${cancelResult.successful_cancellations}/${invitesToCancel.length} successful`);
+      breakdown.invite_sent = {
+        cancelled: cancelResult.canceled_steam_ids,
+        unconfirmed: cancelResult.unconfirmed_steam_ids,
+        failed: cancelResult.failed_steam_ids,
+        slots_freed: cancelResult.successful_cancellations
+      };
+
+      const actualSlotsFreed = policyFreed + cancelResult.successful_cancellations;
 
-      // Step 4: Get updated friend count from Steam
+      // Step 5: Get updated friend count from Steam
       const updatedFriendsResult = await steamConnector.getFriendsList();
       let newOverallSlots = beforeBreakdown.total_used;
       
@@ -72,20 +157,22 @@ class SteamInviteCleaner {
         const afterBreakdown = this.calculateSlotBreakdown(updatedFriendsResult);
         newOverallSlots = afterBreakdown.total_used;
         
-        this.logger.info(`[CLEANER] After cleanup: ${afterBreakdown.total_used}/250 total (freed ${beforeBreakdown.total_used - afterBreakdown.total_used} slots)`);
+        this.logger.info(`[CLEANER] After cleanup: ${afterBreakdown.total_used}/${friendLimit} total (freed ${beforeBreakdown.total_used - afterBreakdown.total_used} slots)`);
       } else {
-        // Estimate based on successful cancellations
-        newOverallSlots = beforeBreakdown.total_used - cancelResult.successful_cancellations;
+        // Estimate based on confirmed removals only
+        newOverallSlots = beforeBreakdown.total_used - actualSlotsFreed;
       }
 
-      const actualSlotsFreed = cancelResult.successful_cancellations;
-
       return {
         success: true,
         slots_freed: actualSlotsFreed,
         slots_requested: slotsToFree,
         canceled_steam_ids: cancelResult.canceled_steam_ids,
-        new_overall_slots: newOverallSlots
+        unconfirmed_steam_ids: cancelResult.unconfirmed_steam_ids,
+        failed_steam_ids: cancelResult.failed_steam_ids,
+        new_overall_slots: newOverallSlots,
+        breakdown,
+        cancelled: Boolean(cancelResult.cancelled || (signal && signal.aborted))
       };
 
     } catch (error) {
@@ -98,6 +185,158 @@ class SteamInviteCleaner {
     }
   }
 
+  /**
+   * Empty per-category cleanup report
+   */
+  createCleanupBreakdown() {
+    return {
+      invite_sent: { cancelled: [], unconfirmed: [], failed: [], slots_freed: 0 },
+      invite_received: { accepted: [], declined: [], unconfirmed: [], failed: [], slots_freed: 0 },
+      ignored: { cleared: [], failed: [], slots_freed: 0 }
+    };
+  }
+
+  countHandled(category) {
+    return Object.values(category).reduce((sum, value) => sum + (Array.isArray(value) ? value.length : 0), 0);
+  }
+
+  /**
+   * Entries the cleanup policy would handle (used by cleanup and dry runs)
+   *
+   * Accepts and declines apply to received invites (RequestRecipient),
+   * clears to blocked and ignored users (not ignored friends). Declines and
+   * clears are bounded by `slotsToFree` as well as by their caps.
+   *
+   * @param {Object} friendsResult - getFriendsList() result
+   * @param {Object} policy - { accept_received, decline_received, clear_ignored }
+   * @param {number} slotsToFree - Slots the cleanup has to free
+   * @returns {Object} { accept, decline, clear } Steam ID lists
+   */
+  planCleanupPolicy(friendsResult, policy, slotsToFree) {
+    const received = friendsResult.receivedInvites.map(entry => entry.steamId);
+    const plan = { accept: [], decline: [], clear: [] };
+
+    if (!policy) {
+      return plan;
+    }
+
+    if (policy.accept_received) {
+      plan.accept = received.slice(0, policy.accept_received);
+    } else if (policy.decline_received) {
+      plan.decline = received.slice(0, Math.min(policy.decline_received, slotsToFree));
+    }
+
+    plan.clear = this.selectIgnoredToClear(friendsResult, policy, slotsToFree - plan.decline.length);
+
+    return plan;
+  }
+
+  selectIgnoredToClear(friendsResult, policy, slotsToFree) {
+    if (!policy || !policy.clear_ignored || slotsToFree <= 0) {
+      return [];
+    }
+
+    return friendsResult.ignoredUsers
+      .filter(entry => CLEARABLE_RELATIONSHIPS.includes(entry.relationship))
+      .map(entry => entry.steamId)
+      .slice(0, Math.min(policy.clear_ignored, slotsToFree));
+  }
+
+  /**
+   * Handle received invites and ignored entries according to the cleanup policy
+   *
+   * Accepted invites become friends and keep their slot; declined invites
+   * (confirmed) and cleared ignored entries free one. Declines and clears
+   * stop once `slotsToFree` is reached.
+   */
+  async applyCleanupPolicy(steamConnector, friendsResult, policy, slotsToFree, breakdown, signal = null) {
+    const plan = this.planCleanupPolicy(friendsResult, policy, slotsToFree);
+    const receivedCount = friendsResult.receivedInvites.length;
+    const receivedReport = breakdown.invite_received;
+    const ignoredReport = breakdown.ignored;
+
+    if (plan.accept.length > 0) {
+      this.logger.info(`[CLEANER] Policy: accepting ${plan.accept.length}/${receivedCount} received invites`);
+
+      await this.runPolicyAction(plan.accept, 'invite_received', 'accept', signal, async (steamId) => {
+        const outcome = await steamConnector.acceptFriendInvite(steamId);
+        (outcome.success ? receivedReport.accepted : receivedReport.failed).push(steamId);
+        return outcome;
+      });
+    }
+
+    if (plan.decline.length > 0) {
+      this.logger.info(`[CLEANER] Policy: declining ${plan.decline.length}/${receivedCount} received invites`);
+
+      await this.runPolicyAction(plan.decline, 'invite_received', 'decline', signal, async (steamId) => {
+        const outcome = await steamConnector.cancelFriendInvite(steamId);
+        if (outcome.success && outcome.confirmed) {
+          receivedReport.declined.push(steamId);
+          receivedReport.slots_freed++;
+        } else {
+          (outcome.success ? receivedReport.unconfirmed : receivedReport.failed).push(steamId);
+        }
+        return outcome;
+      });
+    }
+
+    // Recomputed with the declines Steam actually confirmed
+    const toClear = this.selectIgnoredToClear(friendsResult, policy, slotsToFree - receivedReport.slots_freed);
+
+    if (toClear.length > 0) {
+      this.logger.info(`[CLEANER] Policy: clearing ${toClear.length}/${friendsResult.ignoredUsers.length} ignored entries`);
+
+      await this.runPolicyAction(toClear, 'ignored', 'clear', signal, async (steamId) => {
+        const outcome = await steamConnector.unblockUser(steamId);
+        if (outcome.success) {
+          ignoredReport.cleared.push(steamId);
+          ignoredReport.slots_freed++;
+        } else {
+          ignoredReport.failed.push(steamId);
+        }
+        return outcome;
+      });
+    }
+
+    return breakdown;
+  }
+
+  /**
+   * Run one policy action over a list of Steam IDs (stops when cancelled)
+   *
+   * @param {Function} handle - async (steamId) => connector result, records the outcome in the breakdown
+   */
+  async runPolicyAction(steamIds, category, action, signal, handle) {
+    for (const steamId of steamIds) {
+      if (signal && signal.aborted) {
+        this.logger.warn(`[CLEANER] Cleanup cancelled during ${action} of ${category} entries`);
+        break;
+      }
+
+      let outcome;
+      try {
+        outcome = await handle(steamId);
+      } catch (error) {
+        outcome = { success: false, error: error.message };
+      }
+
+      if (!outcome.success) {
+        this.logger.warn(`[CLEANER] ✗ Failed to ${action} ${steamId}: ${outcome.error}`);
+      }
+
+      this.emitEvent('policy_entry_handled', {
+        category,
+        action,
+        steam_id: steamId,
+        success: Boolean(outcome.success),
+        confirmed: outcome.confirmed !== undefined ? outcome.confirmed : Boolean(outcome.success),
+        error: outcome.error
+      });
+
+      await this.wait(this.cancelDelayMs);
+    }
+  }
+
   /**
    * Calculate slot breakdown from friends list result
    */
@@ -106,6 +345,7 @@ class SteamInviteCleaner {
       total_friends: friendsListResult.confirmedFriends.length,
       pending_sent: friendsListResult.pendingInvites.length,
       pending_received: friendsListResult.receivedInvites.length,
+      ignored: friendsListResult.ignoredUsers.length,
       total_used: friendsListResult.totalFriends
     };
   }
@@ -116,9 +356,10 @@ class SteamInviteCleaner {
    * @param {Array} pendingInvites - Pending invites from Steam
    * @param {number} slotsNeeded - Number of slots to free
    * @param {Array} oldestPendingInvites - Steam IDs from DB (oldest first)
+   * @param {string} account - Steam login, orders the fallback by ledger age when a ledger is set
    * @returns {Array} Steam IDs to cancel
    */
-  selectInvitesToCancel(pendingInvites, slotsNeeded, oldestPendingInvites = []) {
+  selectInvitesToCancel(pendingInvites, slotsNeeded, oldestPendingInvites = [], account = null) {
     if (pendingInvites.length === 0) {
       this.logger.warn(`[CLEANER] No pending invites found in Steam`);
       return [];
@@ -148,9 +389,15 @@ class SteamInviteCleaner {
     // Priority 2: If we still need more cancellations, take any remaining pending invites
     if (toCancel.length < slotsNeeded) {
       const remainingNeeded = slotsNeeded - toCancel.length;
-      const remaining = Array.from(pendingSteamIds).slice(0, remainingNeeded);
+      let candidates = Array.from(pendingSteamIds);
+
+      if (this.inviteLedger && account) {
+        candidates = this.inviteLedger.sortOldestFirst(account, candidates);
+      }
+
+      const remaining = candidates.slice(0, remainingNeeded);
       
-      this.logger.info(`[CLEANER] Priority 2: Need ${remainingNeeded} more, selecting from remaining ${pendingSteamIds.size} invites...`);
+      this.logger.info(`[CLEANER] Priority 2: Need ${remainingNeeded} more, selecting from remaining ${pendingSteamIds.size} invites${this.inviteLedger && account ? ' (ledger order)' : ''}...`);
       
       toCancel.push(...remaining);
       
@@ -164,43 +411,66 @@ class SteamInviteCleaner {
 
   /**
    * Cancel invites on Steam
+   * Each removal waits for Steam's confirmation (see SteamConnector.cancelFriendInvite):
+   * confirmed removals free a slot, unconfirmed ones may or may not have
+   * Cancellation (via signal) is checked between removals
    */
-  async cancelInvitesOnSteam(steamConnector, steamIds) {
+  async cancelInvitesOnSteam(steamConnector, steamIds, signal = null) {
     try {
-      let successful_cancellations = 0;
       const canceled_steam_ids = [];
+      const unconfirmed_steam_ids = [];
       const failed_steam_ids = [];
+      let cancelled = false;
 
       this.logger.info(`[CLEANER] Canceling ${steamIds.length} invites on Steam...`);
 
       for (const steamId of steamIds) {
+        const attempted = canceled_steam_ids.length + unconfirmed_steam_ids.length + failed_steam_ids.length;
+
+        if (signal && signal.aborted) {
+          cancelled = true;
+          this.logger.warn(`[CLEANER] Cleanup cancelled after ${attempted}/${steamIds.length} removals`);
+          break;
+        }
+
         try {
-          const cancelResult = await steamConnector.cancelFriendInviteSimple(steamId);
+          const cancelResult = await steamConnector.cancelFriendInvite(steamId);
           
-          if (cancelResult.success) {
-            successful_cancellations++;
+          if (cancelResult.success && cancelResult.confirmed) {
             canceled_steam_ids.push(steamId);
             this.logger.debug(`[CLEANER] ✓ Canceled ${steamId}`);
+            this.emitEvent('invite_cancelled', { steam_id: steamId, success: true, confirmed: true });
+          } else if (cancelResult.success) {
+            unconfirmed_steam_ids.push(steamId);
+            this.logger.warn(`[CLEANER] ? Removal of ${steamId} sent but not confirmed`);
+            this.emitEvent('invite_cancelled', { steam_id: steamId, success: true, confirmed: false, error: cancelResult.error });
           } else {
             failed_steam_ids.push(steamId);
             this.logger.warn(`[CLEANER] ✗ Failed to cancel ${steamId}: ${cancelResult.error}`);
+            this.emitEvent('invite_cancelled', { steam_id: steamId, success: false, confirmed: false, error: cancelResult.error });
           }
 
           // Small delay between cancellations
-          await this.wait(500);
+          await this.wait(this.cancelDelayMs);
 
         } catch (error) {
           failed_steam_ids.push(steamId);
           this.logger.error(`[CLEANER] Exception canceling ${steamId}: ${error.message}`);
+          this.emitEvent('invite_cancelled', { steam_id: steamId, success: false, confirmed: false, error: error.message });
         }
       }
 
+      const sent = canceled_steam_ids.length + unconfirmed_steam_ids.length;
+
       return {
-        success: successful_cancellations > 0,
-        successful_cancellations,
+        success: sent > 0,
+        error: cancelled && sent === 0 ? 'Cleanup cancelled' : undefined,
+        successful_cancellations: canceled_steam_ids.length,
         canceled_steam_ids,
+        unconfirmed_steam_ids,
         failed_steam_ids,
-        total_attempted: steamIds.length
+        total_attempted: sent + failed_steam_ids.length,
+        cancelled
       };
 
     } catch (error) {
@@ -209,6 +479,7 @@ class SteamInviteCleaner {
         error: error.message,
         successful_cancellations: 0,
         canceled_steam_ids: [],
+        unconfirmed_steam_ids: [],
         failed_steam_ids: steamIds
       };
     }
@@ -0,0 +1,93 @@
+// steam_worker/src/totp_registry.js
+
+/**
+ * Process-wide registry of consumed Steam Guard (TOTP) codes
+ *
+ * Steam rejects a login that reuses a 2FA code. A SteamConnector is created
+ * per request, so tracking has to live outside the instance: back-to-back
+ * requests for the same account within one 30 s window share this registry.
+ */
+
+const TOTP_WINDOW_MS = 30000;
+
+class TotpRegistry {
+  /**
+   * @param {Object} options - Registry options
+   * @param {Function} options.now - Clock (ms), injectable for tests
+   * @param {number} options.retentionMs - How long a consumed code is remembered
+   */
+  constructor(options = {}) {
+    this.now = options.now || Date.now;
+    this.retentionMs = options.retentionMs || TOTP_WINDOW_MS * 3;
+
+    // username -> Map(code -> consumedAt)
+    this.consumed = new Map();
+  }
+
+  /**
+   * Mark a code as consumed for an account
+   *
+   * @returns {boolean} False if the code was already consumed (caller must not use it)
+   */
+  consume(username, code) {
+    const key = username.toLowerCase();
+    this.prune(key);
+
+    let codes = this.consumed.get(key);
+    if (!codes) {
+      codes = new Map();
+      this.consumed.set(key, codes);
+    }
+
+    if (codes.has(code)) {
+      return false;
+    }
+
+    codes.set(code, this.now());
+    return true;
+  }
+
+  /**
+   * Check whether a code was already consumed for an account
+   */
+  isConsumed(username, code) {
+    const key = username.toLowerCase();
+    this.prune(key);
+    const codes = this.consumed.get(key);
+    return Boolean(codes && codes.has(code));
+  }
+
+  /**
+   * Milliseconds until the next TOTP window starts
+   */
+  msUntilNextWindow() {
+    return TOTP_WINDOW_MS - (this.now() % TOTP_WINDOW_MS);
+  }
+
+  /**
+   * Forget codes older than the retention window
+   */
+  prune(key) {
+    const codes = this.consumed.get(key);
+    if (!codes) {
+      return;
+    }
+
+    const cutoff = this.now() - this.retentionMs;
+    for (const [code, consumedAt] of codes) {
+      if (consumedAt < cutoff) {
+        codes.delete(code);
+      }
+    }
+
+    if (codes.size === 0) {
+      this.consumed.delete(key);
+    }
+  }
+}
+
+// Shared instance used by every SteamConnector unless one is injected
+TotpRegistry.shared = new TotpRegistry();
+TotpRegistry.TOTP_WINDOW_MS = TOTP_WINDOW_MS;
+
+module.exports = TotpRegistry;
@@ -2,6 +2,24 @@
 
 const SteamConnector = require('./steam_connector');
 const SteamInviteCleaner = require('./steam_invite_cleaner');
+const { normalizeSteamId } = require('./steam_id');
+const { BASE_FRIEND_LIMIT, resolveFriendLimit } = require('./friend_limit');
+const { ErrorPolicy, eresultName } = require('./error_policy');
+
+// Capacity constants (overridable per call, see calculateAccountCapacity)
+// In batches max_overall_slots follows the account's Steam level (see friend_limit.js)
+const CAPACITY_DEFAULTS = {
+  max_overall_slots: BASE_FRIEND_LIMIT
+};
+
+// Retries of non-stopping temporary invite failures (overridable per batch in options.retry_policy)
+// max_attempts counts the first attempt, max_retries is the retry budget of the whole batch
+const RETRY_DEFAULTS = {
+  max_attempts: 1,
+  backoff_ms: 2000,
+  backoff_multiplier: 2,
+  max_retries: 5
+};
 
 /**
  * Worker Logic Module
@@ -11,12 +29,77 @@ const SteamInviteCleaner = require('./steam_invite_cleaner');
  * - Cleanup of old invites
  * - Sending friend invites
  * - Error classification
+ *
+ * Target and cleanup IDs may use any supported Steam ID format; they are
+ * normalized to SteamID64 before talking to Steam. Result arrays keep the
+ * original IDs as sent by the caller, `normalizedIds` maps them to SteamID64.
  */
 class WorkerLogic {
-  constructor(logger = console) {
+  /**
+   * @param {Object} logger - Logger instance
+   * @param {Object} options - Worker options
+   * @param {Function} options.onEvent - Optional progress event listener
+   * @param {Object} options.connectorOptions - Passed to SteamConnector (e.g. clientFactory)
+   * @param {Object} options.cleanerOptions - Passed to SteamInviteCleaner
+   * @param {Object} options.inviteLedger - Optional InviteLedger (sent times for oldest-first cleanup)
+   * @param {Object} options.errorPolicy - ErrorPolicy for invite eresults (requests may override it)
+   */
+  constructor(logger = console, options = {}) {
     this.logger = logger;
-    this.steamConnector = new SteamConnector(logger);
-    this.inviteCleaner = new SteamInviteCleaner(logger);
+    this.onEvent = options.onEvent || null;
+    this.inviteLedger = options.inviteLedger || null;
+    this.errorPolicy = options.errorPolicy || ErrorPolicy.defaults;
+    this.steamConnector = new SteamConnector(logger, {
+      ...options.connectorOptions,
+      errorPolicy: this.errorPolicy
+    });
+    this.inviteCleaner = new SteamInviteCleaner(logger, {
+      ...options.cleanerOptions,
+      onEvent: this.onEvent,
+      inviteLedger: this.inviteLedger
+    });
+  }
+
+  /**
+   * Emit a progress event to the listener (if any)
+   */
+  emitEvent(type, data = {}) {
+    if (!this.onEvent) {
+      return;
+    }
+
+    try {
+      this.onEvent({ type, timestamp: new Date().toISOString(), ...data });
+    } catch (error) {
+      this.logger.warn(`[WORKER] Event listener failed on ${type}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Connect to Steam and emit `connected` or `connection_failed` (login metrics)
+   */
+  async connectToSteam(credentials, username = credentials.username) {
+    const connectStart = Date.now();
+    const connectionResult = await this.steamConnector.connect(credentials);
+    const durationMs = Date.now() - connectStart;
+
+    if (connectionResult.success) {
+      this.emitEvent('connected', {
+        username,
+        auth_method: connectionResult.authMethod || null,
+        attempts: connectionResult.attempts,
+        duration_ms: durationMs
+      });
+    } else {
+      this.emitEvent('connection_failed', {
+        error: connectionResult.error,
+        category: connectionResult.loginError ? connectionResult.loginError.category : null,
+        attempts: connectionResult.attempts,
+        duration_ms: durationMs
+      });
+    }
+
+    return connectionResult;
   }
 
   /**
@@ -27,49 +110,53 @@ class WorkerLogic {
    * @param {Object} params.credentials - Steam credentials
    * @param {Array} params.targets - Targets to send invites to
    * @param {Object} params.options - Processing options
+   * @param {AbortSignal} params.signal - Optional cancellation signal
    * 
    * @returns {Object} Processing results
    */
   async processInvites(params) {
-    const { account, credentials, targets, options } = params;
+    const { account, credentials, targets, options, signal = null } = params;
     const username = account.username || account.steam_login || 'unknown';
     
     this.logger.info(`[WORKER] Starting invite processing for ${username}`);
     this.logger.info(`[WORKER] Targets: ${targets.length}, Max batch: ${options.max_invites_per_batch}`);
 
-    const result = {
-      success: false,
-      results: {
-        successful: [],
-        failed: [],
-        temporaryFailures: [],
-        limitReached: false,
-        invitationErrorCount: 0,
-        accountBanned: false
-      },
-      account_updates: {
-        slots_used: 0,
-        new_overall_slots: account.overall_friend_slots,
-        cleanup_performed: false,
-        slots_freed: 0,
-        initialization_performed: false
-      },
-      cooldown_info: {
-        should_apply: false,
-        error_codes: [],
-        reason: null
-      }
-    };
+    const result = this.createBatchResult(account);
 
     let updatedAccount = { ...account };
+    let limits = { max_overall_slots: CAPACITY_DEFAULTS.max_overall_slots };
+
+    // Normalize target IDs up front, invalid ones are rejected without a Steam call
+    const { validTargets, rejectedTargets, normalizedIds } = this.normalizeTargets(targets);
+    result.results.failed = rejectedTargets;
+    result.results.normalizedIds = normalizedIds;
+
+    if (validTargets.length === 0) {
+      this.logger.warn(`[WORKER] No valid targets (${rejectedTargets.length} rejected), skipping Steam connection`);
+      result.success = true;
+      return result;
+    }
+
+    // Cancelled before starting (e.g. while queued behind another batch)
+    if (this.isCancelled(signal)) {
+      return this.buildCancelledResult(result, validTargets, signal);
+    }
 
     try {
       // Step 1: Connect to Steam
       this.logger.info(`[WORKER] Connecting to Steam as ${username}...`);
-      const connectionResult = await this.steamConnector.connect(credentials);
+      const connectionResult = await this.connectToSteam(credentials, username);
+      result.account_updates.auth_method = connectionResult.authMethod || null;
 
       if (!connectionResult.success) {
         this.logger.error(`[WORKER] Connection failed: ${connectionResult.error}`);
+
+        // Structured login failure (category + recommended action)
+        result.error = connectionResult.error;
+        result.login_error = {
+          ...connectionResult.loginError,
+          attempts: connectionResult.attempts
+        };
         
         // Connection failure triggers cooldown
         result.cooldown_info = {
@@ -83,6 +170,10 @@ class WorkerLogic {
 
       this.logger.info(`[WORKER] Connected successfully`);
 
+      if (this.isCancelled(signal)) {
+        return this.buildCancelledResult(result, validTargets, signal);
+      }
+
       // Step 2: Refresh account statistics (always)
       this.logger.info(`[WORKER] Refreshing account statistics for ${username}...`);
 
@@ -93,20 +184,60 @@ class WorkerLogic {
         updatedAccount.overall_friend_slots = statsResult.stats.totalSlots;
         result.account_updates.new_overall_slots = statsResult.stats.totalSlots;
         result.account_updates.initialization_performed = (previousSlots === null);
+        this.reconcileLedger(credentials.username, statsResult.friendsList);
+
+        // Friend limit: per-request override, else derived from the Steam level
+        const friendLimit = resolveFriendLimit(options.max_overall_slots, statsResult.stats.steamLevel);
+        limits = { max_overall_slots: friendLimit.friend_limit };
+        result.account_updates.steam_level = statsResult.stats.steamLevel;
+        result.account_updates.friend_limit = friendLimit.friend_limit;
+        result.account_updates.friend_limit_source = friendLimit.source;
+        
+        this.emitEvent('stats_refreshed', {
+          total_slots: statsResult.stats.totalSlots,
+          confirmed_friends: statsResult.stats.confirmedFriends,
+          pending_invites_sent: statsResult.stats.pendingInvitesSent,
+          pending_invites_received: statsResult.stats.pendingInvitesReceived,
+          friend_limit: limits.max_overall_slots
+        });
         
         if (previousSlots !== null && previousSlots !== statsResult.stats.totalSlots) {
           this.logger.info(`[WORKER] Slots updated: ${previousSlots} -> ${statsResult.stats.totalSlots}`);
         } else {
-          this.logger.info(`[WORKER] Current slots: ${statsResult.stats.totalSlots}/250 used`);
+          this.logger.info(`[WORKER] Current slots: ${statsResult.stats.totalSlots}/${limits.max_overall_slots} used`);
         }
       } else {
         throw new Error(`Account statistics refresh failed: ${statsResult.error}`);
       }
 
+      // Dry run: report the plan without adding or removing anyone
+      if (options.dry_run) {
+        result.dry_run = true;
+        result.plan = this.buildDryRunPlan(
+          updatedAccount,
+          statsResult.friendsList,
+          validTargets,
+          rejectedTargets,
+          this.normalizeSteamIdList(options.oldest_pending_invites || []),
+          credentials.username,
+          limits,
+          options.cleanup_policy
+        );
+        result.results.limitReached = !result.plan.capacity.can_send;
+        result.success = true;
+        this.emitEvent('dry_run_planned', {
+          invites_to_cancel: result.plan.invites_to_cancel.length,
+          targets_to_send: result.plan.targets_to_send.length,
+          targets_skipped: result.plan.targets_skipped.length
+        });
+        return result;
+      }
+
       // Step 3: Calculate account capacity
       const capacity = this.calculateAccountCapacity(
         updatedAccount,
-        targets.length
+        validTargets.length,
+        limits
       );
 
       this.logger.info(`[WORKER] Account capacity: can_send=${capacity.can_send}, max_sendable=${capacity.max_sendable}, needs_cleanup=${capacity.needs_cleanup}`);
@@ -125,10 +256,12 @@ class WorkerLogic {
         const cleanupResult = await this.inviteCleaner.cleanupOldInvites(
           this.steamConnector, 
           capacity.cleanup_needed,
-          options.oldest_pending_invites || []
+          this.normalizeSteamIdList(options.oldest_pending_invites || []),
+          { signal, account: credentials.username, policy: options.cleanup_policy, friendLimit: limits.max_overall_slots }
         );
 
         if (cleanupResult.success) {
+          result.account_updates.cleanup_breakdown = cleanupResult.breakdown;
           updatedAccount.overall_friend_slots = cleanupResult.new_overall_slots;
           result.account_updates.new_overall_slots = cleanupResult.new_overall_slots;
           result.account_updates.cleanup_performed = true;
@@ -139,38 +272,54 @@ class WorkerLogic {
         }
       }
 
+      if (this.isCancelled(signal)) {
+        return this.buildCancelledResult(result, validTargets, signal);
+      }
+
       // Recalculate capacity after cleanup
       const finalCapacity = this.calculateAccountCapacity(
         updatedAccount,
-        targets.length
+        validTargets.length,
+        limits
       );
 
-      const actualBatchSize = Math.min(targets.length, finalCapacity.max_sendable);
-      const targetsToProcess = targets.slice(0, actualBatchSize);
+      const actualBatchSize = Math.min(validTargets.length, finalCapacity.max_sendable);
+      const targetsToProcess = validTargets.slice(0, actualBatchSize);
 
       this.logger.info(`[WORKER] Sending ${targetsToProcess.length} invites...`);
 
       // Step 5: Send invites with early detection
       const inviteResults = await this.sendInvitesWithEarlyDetection(
         targetsToProcess,
-        options.delay_between_invites_ms || 2000
+        options.delay_between_invites_ms !== undefined ? options.delay_between_invites_ms : 2000,
+        signal,
+        credentials.username,
+        this.errorPolicy.withOverrides(options.error_policy),
+        { ...RETRY_DEFAULTS, ...options.retry_policy }
       );
 
-      // Step 6: Process results
-      result.results = inviteResults;
+      // Step 6: Process results (rejected targets stay in failed)
+      result.results = {
+        ...inviteResults,
+        failed: [...rejectedTargets, ...inviteResults.failed],
+        normalizedIds
+      };
       result.success = true;
+      result.cancelled = this.isCancelled(signal);
+      result.cancel_reason = this.getCancelReason(signal);
 
       // Update account slots based on successful invites
       const slotsUsed = inviteResults.successful.length;
       result.account_updates.slots_used = slotsUsed;
       result.account_updates.new_overall_slots = updatedAccount.overall_friend_slots + slotsUsed;
 
-      // Step 7: Determine if cooldown should be applied
-      // CHANGED: Only apply cooldown for error 15 (rate limiting), NOT for errors 25/84 (account limits)
+      // Step 7: Determine if cooldown should be applied (eresults with `cooldown` in the error policy)
       if (inviteResults.invitationErrorCount > 0) {
+        const errorCodes = this.extractErrorCodes(inviteResults.failed);
         result.cooldown_info = {
           should_apply: true,
-          error_codes: this.extractErrorCodes(inviteResults.failed),
+          error_codes: errorCodes,
+          error_names: errorCodes.map(code => eresultName(code)),
           reason: 'invitation_errors'
         };
       }
@@ -186,82 +335,536 @@ class WorkerLogic {
       return result;
 
     } finally {
+      // Report any refresh token Steam issued so the coordinator can store it
+      result.account_updates.refresh_token = await this.steamConnector.waitForIssuedRefreshToken(signal) || null;
+
       // Always disconnect
       await this.steamConnector.disconnect();
       this.logger.info(`[WORKER] Disconnected from Steam`);
+      this.emitEvent('disconnected');
+    }
+  }
+
+  /**
+   * Log in and return the account's relationship state, then log off
+   *
+   * @param {Object} params - Snapshot parameters
+   * @param {Object} params.credentials - Steam credentials
+   * @param {boolean} params.includePersonas - Look up persona names (default true)
+   * @param {AbortSignal} params.signal - Optional cancellation signal (cuts the refresh token wait short)
+   * @returns {Object} { success, error, login_error, friends, counts, total_slots, account_updates }
+   */
+  async getFriendsSnapshot(params) {
+    const { credentials, includePersonas = true, signal = null } = params;
+
+    const result = {
+      success: false,
+      friends: null,
+      counts: null,
+      total_slots: null,
+      account_updates: {
+        auth_method: null,
+        refresh_token: null
+      }
+    };
+
+    try {
+      this.logger.info(`[WORKER] Connecting to Steam as ${credentials.username} for a friends snapshot...`);
+      const connectionResult = await this.connectToSteam(credentials);
+      result.account_updates.auth_method = connectionResult.authMethod || null;
+
+      if (!connectionResult.success) {
+        this.logger.error(`[WORKER] Connection failed: ${connectionResult.error}`);
+        result.error = connectionResult.error;
+        result.login_error = {
+          ...connectionResult.loginError,
+          attempts: connectionResult.attempts
+        };
+        return result;
+      }
+
+      const friendsList = await this.steamConnector.getFriendsList();
+
+      if (!friendsList.success) {
+        throw new Error(`Friends list failed: ${friendsList.error}`);
+      }
+
+      const names = includePersonas
+        ? await this.steamConnector.getPersonaNames(friendsList.allFriends.map(f => f.steamId))
+        : {};
+
+      const friends = {
+        confirmed: [],
+        invite_sent: [],
+        invite_received: [],
+        ignored: [],
+        unknown: []
+      };
+      const groups = { friend: 'confirmed' };
+
+      for (const entry of friendsList.allFriends) {
+        friends[groups[entry.relationshipType] || entry.relationshipType].push({
+          steam_id: entry.steamId,
+          relationship: entry.relationship,
+          persona_name: names[entry.steamId] || null
+        });
+      }
+
+      result.friends = friends;
+      result.counts = Object.fromEntries(Object.entries(friends).map(([group, list]) => [group, list.length]));
+      result.total_slots = friendsList.totalFriends;
+      result.success = true;
+
+      this.logger.info(`[WORKER] Friends snapshot: ${friendsList.totalFriends} relationships`);
+      return result;
+
+    } catch (error) {
+      this.logger.error(`[WORKER] Friends snapshot failed: ${error.message}`);
+      result.error = error.message;
+      return result;
+
+    } finally {
+      result.account_updates.refresh_token = await this.steamConnector.waitForIssuedRefreshToken(signal) || null;
+      await this.steamConnector.disconnect();
+      this.logger.info(`[WORKER] Disconnected from Steam`);
+    }
+  }
+
+  /**
+   * Log in and cancel pending invites ahead of time, then log off
+   *
+   * Frees `slotsToFree` slots, or as many as needed to bring the account
+   * down to `targetTotalSlots`, using the same selection as batch cleanup.
+   *
+   * @param {Object} params - Cleanup parameters
+   * @param {Object} params.credentials - Steam credentials
+   * @param {number} params.slotsToFree - Slots to free
+   * @param {number} params.targetTotalSlots - Desired total instead of slotsToFree
+   * @param {Array} params.oldestPendingInvites - DB priority list (any Steam ID format)
+   * @param {Object} params.cleanupPolicy - Received/ignored entry handling (see SteamInviteCleaner)
+   * @param {AbortSignal} params.signal - Optional cancellation signal
+   * @returns {Object} { success, error, slots_requested, slots_freed, canceled_steam_ids (confirmed), unconfirmed_steam_ids, failed_steam_ids, new_overall_slots, ... }
+   */
+  async cleanupAccount(params) {
+    const { credentials, slotsToFree, targetTotalSlots, oldestPendingInvites = [], cleanupPolicy = null, signal = null } = params;
+
+    const result = {
+      success: false,
+      cancelled: false,
+      previous_overall_slots: null,
+      slots_requested: 0,
+      slots_freed: 0,
+      canceled_steam_ids: [],
+      unconfirmed_steam_ids: [],
+      failed_steam_ids: [],
+      breakdown: null,
+      new_overall_slots: null,
+      account_updates: {
+        auth_method: null,
+        refresh_token: null
+      }
+    };
+
+    try {
+      this.logger.info(`[WORKER] Connecting to Steam as ${credentials.username} for cleanup...`);
+      const connectionResult = await this.connectToSteam(credentials);
+      result.account_updates.auth_method = connectionResult.authMethod || null;
+
+      if (!connectionResult.success) {
+        this.logger.error(`[WORKER] Connection failed: ${connectionResult.error}`);
+        result.error = connectionResult.error;
+        result.login_error = {
+          ...connectionResult.loginError,
+          attempts: connectionResult.attempts
+        };
+        return result;
+      }
+
+      const statsResult = await this.steamConnector.getAccountStatistics();
+
+      if (!statsResult.success) {
+        throw new Error(`Account statistics refresh failed: ${statsResult.error}`);
+      }
+
+      this.reconcileLedger(credentials.username, statsResult.friendsList);
+
+      const currentSlots = statsResult.stats.totalSlots;
+      result.previous_overall_slots = currentSlots;
+      result.new_overall_slots = currentSlots;
+      result.slots_requested = slotsToFree !== undefined
+        ? slotsToFree
+        : Math.max(0, currentSlots - targetTotalSlots);
+
+      if (result.slots_requested === 0) {
+        this.logger.info(`[WORKER] Account already at ${currentSlots} slots, nothing to free`);
+        result.success = true;
+        return result;
+      }
+
+      if (this.isCancelled(signal)) {
+        result.cancelled = true;
+        result.success = true;
+        return result;
+      }
+
+      const cleanupResult = await this.inviteCleaner.cleanupOldInvites(
+        this.steamConnector,
+        result.slots_requested,
+        this.normalizeSteamIdList(oldestPendingInvites),
+        { signal, account: credentials.username, policy: cleanupPolicy, friendLimit: statsResult.stats.friendLimit }
+      );
+
+      if (!cleanupResult.success) {
+        throw new Error(`Cleanup failed: ${cleanupResult.error}`);
+      }
+
+      result.slots_freed = cleanupResult.slots_freed;
+      result.canceled_steam_ids = cleanupResult.canceled_steam_ids || [];
+      result.unconfirmed_steam_ids = cleanupResult.unconfirmed_steam_ids || [];
+      result.failed_steam_ids = cleanupResult.failed_steam_ids || [];
+      result.breakdown = cleanupResult.breakdown || null;
+      result.new_overall_slots = cleanupResult.new_overall_slots;
+      result.cancelled = Boolean(cleanupResult.cancelled);
+      result.success = true;
+
+      this.logger.info(`[WORKER] Cleanup complete: freed ${result.slots_freed}/${result.slots_requested} slots`);
+      return result;
+
+    } catch (error) {
+      this.logger.error(`[WORKER] Cleanup failed: ${error.message}`);
+      result.error = error.message;
+      return result;
+
+    } finally {
+      result.account_updates.refresh_token = await this.steamConnector.waitForIssuedRefreshToken(signal) || null;
+      await this.steamConnector.disconnect();
+      this.logger.info(`[WORKER] Disconnected from Steam`);
+    }
+  }
+
+  /**
+   * Normalize targets to SteamID64
+   *
+   * @param {Array} targets - Targets as received ({ slug })
+   * @returns {Object} { validTargets, rejectedTargets, normalizedIds }
+   */
+  normalizeTargets(targets) {
+    const validTargets = [];
+    const rejectedTargets = [];
+    const normalizedIds = {};
+
+    for (const target of targets) {
+      const normalized = normalizeSteamId(target.slug);
+
+      if (normalized.valid) {
+        validTargets.push({ ...target, steamId64: normalized.steamId64 });
+        normalizedIds[target.slug] = normalized.steamId64;
+      } else {
+        this.logger.warn(`[WORKER] Rejected target ${target.slug}: ${normalized.reason}`);
+        rejectedTargets.push({
+          steamId: target.slug,
+          steamId64: null,
+          error: `Invalid Steam ID: ${normalized.reason}`,
+          errorCode: null,
+          errorType: 'definitive'
+        });
+      }
+    }
+
+    if (rejectedTargets.length > 0) {
+      this.logger.warn(`[WORKER] ${rejectedTargets.length}/${targets.length} targets rejected as invalid Steam IDs`);
+    }
+
+    return { validTargets, rejectedTargets, normalizedIds };
+  }
+
+  /**
+   * Normalize a list of Steam IDs, dropping invalid ones (order preserved)
+   */
+  normalizeSteamIdList(steamIds) {
+    const normalizedList = [];
+
+    for (const steamId of steamIds) {
+      const normalized = normalizeSteamId(steamId);
+
+      if (normalized.valid) {
+        normalizedList.push(normalized.steamId64);
+      } else {
+        this.logger.warn(`[WORKER] Ignoring invalid Steam ID ${steamId}: ${normalized.reason}`);
+      }
+    }
+
+    return normalizedList;
+  }
+
+  /**
+   * Drop ledger entries that are no longer pending on Steam
+   * Skipped for an empty list, which may just not be loaded yet
+   */
+  reconcileLedger(username, friendsList) {
+    if (this.inviteLedger && friendsList && friendsList.totalFriends > 0) {
+      this.inviteLedger.reconcile(username, friendsList.pendingInvites.map(f => f.steamId));
+    }
+  }
+
+  /**
+   * Empty processInvites result for an account
+   */
+  createBatchResult(account) {
+    return {
+      success: false,
+      cancelled: false,
+      cancel_reason: null,
+      results: {
+        successful: [],
+        failed: [],
+        temporaryFailures: [],
+        limitReached: false,
+        invitationErrorCount: 0,
+        accountBanned: false,
+        retriesUsed: 0,
+        attemptHistory: {},
+        normalizedIds: {}
+      },
+      account_updates: {
+        slots_used: 0,
+        new_overall_slots: account.overall_friend_slots,
+        cleanup_performed: false,
+        slots_freed: 0,
+        cleanup_breakdown: null,
+        initialization_performed: false,
+        steam_level: null,
+        friend_limit: null,
+        friend_limit_source: null,
+        auth_method: null,
+        refresh_token: null
+      },
+      cooldown_info: {
+        should_apply: false,
+        error_codes: [],
+        reason: null
+      }
+    };
+  }
+
+  /**
+   * Result of a batch cancelled while queued for the account lock
+   * Nothing touches Steam; invalid targets are still reported as failed
+   */
+  buildQueuedCancelledResult(params) {
+    const { account, targets, signal = null } = params;
+    const result = this.createBatchResult(account);
+    const { validTargets, rejectedTargets, normalizedIds } = this.normalizeTargets(targets);
+
+    result.results.failed = rejectedTargets;
+    result.results.normalizedIds = normalizedIds;
+    return this.buildCancelledResult(result, validTargets, signal);
+  }
+
+  /**
+   * Check whether the batch was cancelled by the caller
+   */
+  isCancelled(signal) {
+    return Boolean(signal && signal.aborted);
+  }
+
+  /**
+   * Why the batch was cancelled: 'shutdown' when drained, 'cancelled' otherwise
+   */
+  getCancelReason(signal) {
+    if (!this.isCancelled(signal)) {
+      return null;
     }
+    return typeof signal.reason === 'string' ? signal.reason : 'cancelled';
+  }
+
+  /**
+   * Mark result as cancelled before any invite was sent
+   * All targets are returned as temporary failures (never attempted)
+   */
+  buildCancelledResult(result, targets, signal = null) {
+    this.logger.warn(`[WORKER] Batch cancelled before sending, ${targets.length} targets returned as temporary failures`);
+    result.success = true;
+    result.cancelled = true;
+    result.cancel_reason = this.getCancelReason(signal) || 'cancelled';
+    result.results.temporaryFailures = targets.map(t => t.slug);
+    this.emitEvent('batch_stopped', {
+      reason: 'cancelled',
+      eresult: null,
+      remaining: targets.length
+    });
+    return result;
+  }
+
+  /**
+   * Build the plan of a batch without touching the account (dry run)
+   *
+   * Mirrors the real flow: capacity, cleanup selection and batch size come
+   * from calculateAccountCapacity and selectInvitesToCancel over the same
+   * targets. Like the real batch, targets that are already friends or have a
+   * pending invite are not skipped; `relationship` flags them in the plan.
+   *
+   * @param {Object} account - Account with refreshed overall_friend_slots
+   * @param {Object} friendsList - getFriendsList() result
+   * @param {Array} validTargets - Normalized targets
+   * @param {Array} rejectedTargets - Targets that failed normalization
+   * @param {Array} oldestPendingInvites - Normalized DB cancellation priority
+   * @param {string} ledgerAccount - Steam login for ledger-based fallback ordering
+   * @param {Object} limits - Capacity limits (max_overall_slots = the account's friend limit)
+   * @param {Object} cleanupPolicy - Received/ignored entry handling, applied before cancelling invites
+   * @returns {Object} Plan (snake_case, returned as-is to the coordinator)
+   */
+  buildDryRunPlan(account, friendsList, validTargets, rejectedTargets, oldestPendingInvites, ledgerAccount = null, limits = {}, cleanupPolicy = null) {
+    const friendIds = new Set(friendsList.confirmedFriends.map(f => f.steamId));
+    const pendingIds = new Set(friendsList.pendingInvites.map(f => f.steamId));
+
+    const skipped = rejectedTargets.map(t => ({ slug: t.steamId, steam_id: null, reason: 'invalid_steam_id' }));
+    const relationshipOf = (target) => {
+      if (friendIds.has(target.steamId64)) {
+        return 'friend';
+      }
+      return pendingIds.has(target.steamId64) ? 'invite_pending' : null;
+    };
+
+    const capacity = this.calculateAccountCapacity(account, validTargets.length, limits);
+
+    const runsCleanup = capacity.can_send && capacity.needs_cleanup && capacity.cleanup_needed > 0;
+    const policyPlan = runsCleanup
+      ? this.inviteCleaner.planCleanupPolicy(friendsList, cleanupPolicy, capacity.cleanup_needed)
+      : { accept: [], decline: [], clear: [] };
+    const policyFreed = policyPlan.decline.length + policyPlan.clear.length;
+    const remainingToFree = capacity.cleanup_needed - policyFreed;
+
+    const invitesToCancel = runsCleanup && remainingToFree > 0
+      ? this.inviteCleaner.selectInvitesToCancel(
+        friendsList.pendingInvites,
+        remainingToFree,
+        oldestPendingInvites,
+        ledgerAccount
+      )
+      : [];
+
+    const currentSlots = account.overall_friend_slots;
+    const slotsAfterCleanup = currentSlots - policyFreed - invitesToCancel.length;
+    const finalCapacity = this.calculateAccountCapacity(
+      { ...account, overall_friend_slots: slotsAfterCleanup },
+      validTargets.length,
+      limits
+    );
+
+    // Batch size is only bounded by weekly slots (overall slots are made by cleanup)
+    const toSend = validTargets.slice(0, finalCapacity.max_sendable);
+    for (const target of validTargets.slice(toSend.length)) {
+      skipped.push({ slug: target.slug, steam_id: target.steamId64, reason: 'weekly_limit' });
+    }
+
+    this.logger.info(`[WORKER] Dry run plan: cancel ${invitesToCancel.length}, decline ${policyPlan.decline.length}, clear ${policyPlan.clear.length}, send ${toSend.length}, skip ${skipped.length}`);
+
+    return {
+      capacity: {
+        can_send: capacity.can_send,
+        max_sendable: capacity.max_sendable,
+        needs_cleanup: capacity.needs_cleanup,
+        cleanup_needed: capacity.cleanup_needed,
+        weekly_limited: capacity.weekly_limited,
+        overall_limited: capacity.overall_limited
+      },
+      invites_to_cancel: invitesToCancel,
+      policy_actions: {
+        accept_received: policyPlan.accept,
+        decline_received: policyPlan.decline,
+        clear_ignored: policyPlan.clear
+      },
+      targets_to_send: toSend.map(t => ({ slug: t.slug, steam_id: t.steamId64, relationship: relationshipOf(t) })),
+      targets_skipped: skipped,
+      friend_limit: limits.max_overall_slots || CAPACITY_DEFAULTS.max_overall_slots,
+      current_overall_slots: currentSlots,
+      projected_overall_slots: slotsAfterCleanup + toSend.length,
+      projected_slots_used: toSend.length
+    };
   }
 
   /**
    * Calculate account capacity based on weekly and overall limits
    * 
-   * UPDATED: Uses full 250 limit and calculates cleanup dynamically
+   * UPDATED: Uses the full friend limit (250 unless overridden) and calculates cleanup dynamically
+   *
+   * `limiting_factor` names what bounds max_sendable: weekly_slots or
+   * requested_count (the overall ceiling is met through cleanup instead).
+   *
+   * @param {Object} account - { weekly_invite_slots, overall_friend_slots }
+   * @param {number} requestedCount - Targets available to send
+   * @param {Object} limits - Overrides of CAPACITY_DEFAULTS (max_overall_slots)
    */
-  calculateAccountCapacity(account, requestedCount) {
+  calculateAccountCapacity(account, requestedCount, limits = {}) {
     const weeklySlots = account.weekly_invite_slots || 0;
     const overallSlots = account.overall_friend_slots;
+    const limitingFactor = weeklySlots < requestedCount ? 'weekly_slots' : 'requested_count';
 
     // DEBUG: Log all input parameters
-    this.logger.info(`[WORKER] [DEBUG] calculateAccountCapacity called with:`);
-    this.logger.info(`[WORKER] [DEBUG]   requestedCount = ${requestedCount}`);
-    this.logger.info(`[WORKER] [DEBUG]   weeklySlots = ${weeklySlots}`);
-    this.logger.info(`[WORKER] [DEBUG]   overallSlots = ${overallSlots}`);
+    this.logger.debug(`[WORKER] calculateAccountCapacity called with:`);
+    this.logger.debug(`[WORKER]   requestedCount = ${requestedCount}`);
+    this.logger.debug(`[WORKER]   weeklySlots = ${weeklySlots}`);
+    this.logger.debug(`[WORKER]   overallSlots = ${overallSlots}`);
 
     if (weeklySlots <= 0) {
-      this.logger.info(`[WORKER] [DEBUG] Result: cannot send (weeklySlots <= 0)`);
+      this.logger.debug(`[WORKER] Result: cannot send (weeklySlots <= 0)`);
       return {
         can_send: false,
         max_sendable: 0,
         needs_cleanup: false,
         cleanup_needed: 0,
         weekly_limited: true,
-        overall_limited: false
+        overall_limited: false,
+        limiting_factor: 'weekly_slots'
       };
     }
 
     if (overallSlots === null) {
       const maxSendable = Math.min(requestedCount, weeklySlots);
-      this.logger.info(`[WORKER] [DEBUG] Result: overallSlots=null, maxSendable=${maxSendable}`);
+      this.logger.debug(`[WORKER] Result: overallSlots=null, maxSendable=${maxSendable}`);
       return {
         can_send: true,
         max_sendable: maxSendable,
         needs_cleanup: false,
         cleanup_needed: 0,
         weekly_limited: false,
-        overall_limited: false
+        overall_limited: false,
+        limiting_factor: limitingFactor
       };
     }
 
-    const MAX_OVERALL_SLOTS = 250;
+    const MAX_OVERALL_SLOTS = limits.max_overall_slots || CAPACITY_DEFAULTS.max_overall_slots;
 
     // Calculate how many we can actually send (limited by weekly slots)
     const maxSendable = Math.min(requestedCount, weeklySlots);
-    this.logger.info(`[WORKER] [DEBUG]   maxSendable = min(${requestedCount}, ${weeklySlots}) = ${maxSendable}`);
+    this.logger.debug(`[WORKER]   maxSendable = min(${requestedCount}, ${weeklySlots}) = ${maxSendable}`);
 
     // Calculate if we need cleanup to accommodate this batch
     const slotsAfterSending = overallSlots + maxSendable;
-    this.logger.info(`[WORKER] [DEBUG]   slotsAfterSending = ${overallSlots} + ${maxSendable} = ${slotsAfterSending}`);
+    this.logger.debug(`[WORKER]   slotsAfterSending = ${overallSlots} + ${maxSendable} = ${slotsAfterSending}`);
     
     if (slotsAfterSending <= MAX_OVERALL_SLOTS) {
-      this.logger.info(`[WORKER] [DEBUG] Result: No cleanup needed (${slotsAfterSending} <= ${MAX_OVERALL_SLOTS})`);
-      // No cleanup needed - we fit within the 250 limit
+      this.logger.debug(`[WORKER] Result: No cleanup needed (${slotsAfterSending} <= ${MAX_OVERALL_SLOTS})`);
+      // No cleanup needed - we fit within the friend limit
       return {
         can_send: true,
         max_sendable: maxSendable,
         needs_cleanup: false,
         cleanup_needed: 0,
         weekly_limited: weeklySlots < requestedCount,
-        overall_limited: false
+        overall_limited: false,
+        limiting_factor: limitingFactor
       };
     } else {
       // Cleanup needed: we need to free enough slots to accommodate the batch
       const targetSlotsBeforeInvites = MAX_OVERALL_SLOTS - maxSendable;
       const cleanupNeeded = overallSlots - targetSlotsBeforeInvites;
       
-      this.logger.info(`[WORKER] [DEBUG] Cleanup calculation:`);
-      this.logger.info(`[WORKER] [DEBUG]   targetSlotsBeforeInvites = ${MAX_OVERALL_SLOTS} - ${maxSendable} = ${targetSlotsBeforeInvites}`);
-      this.logger.info(`[WORKER] [DEBUG]   cleanupNeeded = ${overallSlots} - ${targetSlotsBeforeInvites} = ${cleanupNeeded}`);
-      this.logger.info(`[WORKER] [DEBUG] Result: needs_cleanup=true, cleanup_needed=${cleanupNeeded}`);
+      this.logger.debug(`[WORKER] Cleanup calculation:`);
+      this.logger.debug(`[WORKER]   targetSlotsBeforeInvites = ${MAX_OVERALL_SLOTS} - ${maxSendable} = ${targetSlotsBeforeInvites}`);
+      this.logger.debug(`[WORKER]   cleanupNeeded = ${overallSlots} - ${targetSlotsBeforeInvites} = ${cleanupNeeded}`);
+      this.logger.debug(`[WORKER] Result: needs_cleanup=true, cleanup_needed=${cleanupNeeded}`);
       
       return {
         can_send: true,
@@ -269,110 +872,191 @@ class WorkerLogic {
         needs_cleanup: true,
         cleanup_needed: cleanupNeeded,
         weekly_limited: weeklySlots < requestedCount,
-        overall_limited: true
+        overall_limited: true,
+        limiting_factor: limitingFactor
       };
     }
   }
 
   /**
-   * Send invites with early detection of critical errors (15, 25, 84)
-   * CHANGED: Both error types stop processing, but only error 15 triggers worker cooldown
+   * Send invites with early detection of critical errors
+   * Targets must already be normalized (see normalizeTargets)
+   * How each eresult is handled (stop, cooldown, limit, ban) comes from the error policy
+   * Non-stopping temporary failures are retried per the retry policy (with
+   * backoff, within the batch's retry budget); every attempt of a target is
+   * recorded in `attemptHistory`
+   * Cancellation (via signal) is checked between invites and attempts; a
+   * target cancelled with a retry pending is returned as not attempted
    */
-  async sendInvitesWithEarlyDetection(targets, delayMs) {
+  async sendInvitesWithEarlyDetection(targets, delayMs, signal = null, ledgerAccount = null, errorPolicy = this.errorPolicy, retryPolicy = RETRY_DEFAULTS) {
     const results = {
       successful: [],
       failed: [],
       temporaryFailures: [],
       limitReached: false,
       invitationErrorCount: 0,
-      accountBanned: false
+      accountBanned: false,
+      retriesUsed: 0,
+      attemptHistory: {}
     };
 
-    // Separate error categories by handling behavior
-    const workerCooldownErrors = [15]; // AccessDenied (rate limit) - triggers worker cooldown
-    const accountLimitErrors = [25, 84]; // LimitExceeded, RateLimitExceeded - only marks account
-    const accountBannedErrors = [17]; // Account banned - stop immediately, flag for invite_friends
+    // Return targets from index `from` on as temporary failures (not attempted)
+    const stopCancelled = (from) => {
+      for (let j = from; j < targets.length; j++) {
+        results.temporaryFailures.push(targets[j].slug);
+      }
+
+      this.emitEvent('batch_stopped', {
+        reason: 'cancelled',
+        eresult: null,
+        remaining: results.temporaryFailures.length
+      });
+    };
 
     for (let i = 0; i < targets.length; i++) {
       const target = targets[i];
-      
-      try {
-        const inviteResult = await this.steamConnector.addFriend(target.slug);
 
-        if (inviteResult.success) {
-          results.successful.push(target.slug);
-          this.logger.debug(`[WORKER] ✓ Invite sent to ${target.slug}`);
-        } else {
-          const errorCode = inviteResult.eresult;
-          const errorType = this.classifyError(errorCode, inviteResult.error);
-
-          results.failed.push({
-            steamId: target.slug,
-            error: inviteResult.error,
-            errorCode: errorCode,
-            errorType: errorType
-          });
+      if (this.isCancelled(signal)) {
+        this.logger.warn(`[WORKER] Batch cancelled, stopping before ${target.slug}`);
+        stopCancelled(i);
+        break;
+      }
 
-          // CHANGED: Set limitReached=true for errors 25 and 84 (account-specific limits)
-          if (accountLimitErrors.includes(errorCode) || inviteResult.limitReached) {
-            results.limitReached = true;
-            this.logger.warn(`[WORKER] Account limit reached (error ${errorCode}), marking account for weekly reset`);
-          }
+      const history = [];
+      results.attemptHistory[target.slug] = history;
 
-          // CHANGED: Error 15 triggers cooldown AND stops processing
-          if (workerCooldownErrors.includes(errorCode)) {
-            results.invitationErrorCount++;
-            this.logger.warn(`[WORKER] Rate limit error ${errorCode} detected, stopping batch processing and triggering cooldown`);
-            
-            // Return remaining targets as temporary failures
-            for (let j = i + 1; j < targets.length; j++) {
-              results.temporaryFailures.push(targets[j].slug);
-            }
-            
-            break;
-          }
+      let inviteResult;
+      let rule = null;
+      let retryCancelled = false;
 
-          // Errors 25/84 stop processing but DON'T trigger cooldown
-          if (accountLimitErrors.includes(errorCode)) {
-            this.logger.warn(`[WORKER] Account limit error ${errorCode} detected, stopping batch processing WITHOUT cooldown`);
+      // Attempts of this target (addFriend verifies timeouts against the friends list on every attempt)
+      for (;;) {
+        const attempt = history.length + 1;
+        const inviteStart = Date.now();
+        inviteResult = await this.attemptInvite(target);
+        const durationMs = Date.now() - inviteStart;
+        rule = inviteResult.success ? null : errorPolicy.resolve(inviteResult.eresult);
 
-            // Return remaining targets as temporary failures
-            for (let j = i + 1; j < targets.length; j++) {
-              results.temporaryFailures.push(targets[j].slug);
-            }
+        history.push({
+          attempt,
+          success: inviteResult.success,
+          eresult: inviteResult.eresult,
+          eresult_name: rule ? rule.name : null,
+          error: inviteResult.success ? null : inviteResult.error,
+          duration_ms: durationMs
+        });
 
-            break;
-          }
+        this.emitEvent('invite_attempt', {
+          ...this.describeInviteOutcome(target, inviteResult, rule),
+          attempt,
+          duration_ms: durationMs
+        });
 
-          // Error 17 (banned) - stop immediately, flag account for invite_friends to handle
-          if (accountBannedErrors.includes(errorCode)) {
-            results.accountBanned = true;
-            this.logger.warn(`[WORKER] Account BANNED (error ${errorCode}) detected, stopping batch processing immediately`);
+        if (inviteResult.success || !this.isRetryable(rule)) {
+          break;
+        }
 
-            // Return remaining targets as temporary failures (they weren't attempted)
-            for (let j = i + 1; j < targets.length; j++) {
-              results.temporaryFailures.push(targets[j].slug);
-            }
+        if (attempt >= retryPolicy.max_attempts || results.retriesUsed >= retryPolicy.max_retries) {
+          break;
+        }
 
-            break;
-          }
+        if (this.isCancelled(signal)) {
+          retryCancelled = true;
+          break;
+        }
+
+        const backoffMs = Math.round(retryPolicy.backoff_ms * Math.pow(retryPolicy.backoff_multiplier, attempt - 1));
+        results.retriesUsed++;
+        this.logger.info(`[WORKER] Retrying invite to ${target.slug} in ${backoffMs}ms (attempt ${attempt + 1}/${retryPolicy.max_attempts}, error ${inviteResult.eresult})`);
+        this.emitEvent('invite_retry', {
+          steam_id: target.steamId64,
+          attempt: attempt + 1,
+          eresult: inviteResult.eresult,
+          backoff_ms: backoffMs
+        });
+
+        await this.wait(backoffMs, signal);
+
+        if (this.isCancelled(signal)) {
+          retryCancelled = true;
+          break;
+        }
+      }
+
+      // Cancelled with a retry pending: the target has no final outcome, so it is not attempted
+      if (retryCancelled) {
+        this.logger.warn(`[WORKER] Batch cancelled while retrying ${target.slug}`);
+        stopCancelled(i);
+        break;
+      }
 
-          this.logger.debug(`[WORKER] ✗ Invite failed for ${target.slug}: ${inviteResult.error} (code: ${errorCode})`);
+      // One final result per target, however many attempts it took
+      this.emitEvent('invite_result', {
+        ...this.describeInviteOutcome(target, inviteResult, rule),
+        attempts: history.length,
+        duration_ms: history.reduce((total, entry) => total + entry.duration_ms, 0)
+      });
+
+      if (inviteResult.success) {
+        results.successful.push(target.slug);
+        this.logger.debug(`[WORKER] ✓ Invite sent to ${target.slug}`);
+        if (this.inviteLedger && ledgerAccount) {
+          this.inviteLedger.recordSent(ledgerAccount, target.steamId64);
         }
+      } else {
+        const errorCode = inviteResult.eresult;
 
-      } catch (error) {
-        this.logger.error(`[WORKER] Exception sending invite to ${target.slug}: ${error.message}`);
         results.failed.push({
           steamId: target.slug,
-          error: error.message,
-          errorCode: null,
-          errorType: 'temporary'
+          steamId64: target.steamId64,
+          error: inviteResult.error,
+          errorCode: errorCode,
+          errorName: rule.name,
+          errorType: rule.error_type,
+          attempts: history.length
         });
+
+        // Account-specific limits (e.g. 25, 84): mark the account for the weekly reset
+        if (rule.limit_reached) {
+          results.limitReached = true;
+          this.logger.warn(`[WORKER] Account limit reached (error ${errorCode}), marking account for weekly reset`);
+        }
+
+        // Rate limiting (e.g. 15): request a worker cooldown
+        if (rule.cooldown) {
+          results.invitationErrorCount++;
+        }
+
+        // Banned (e.g. 17): flag the account for invite_friends to handle
+        if (rule.banned) {
+          results.accountBanned = true;
+        }
+
+        if (rule.stop_batch) {
+          const reason = this.getStopReason(rule);
+          this.logger.warn(`[WORKER] Error ${errorCode} (${rule.name || 'unknown'}) detected, stopping batch processing (${reason}${rule.cooldown ? ', cooldown' : ''})`);
+
+          // Return remaining targets as temporary failures (they weren't attempted)
+          for (let j = i + 1; j < targets.length; j++) {
+            results.temporaryFailures.push(targets[j].slug);
+          }
+
+          this.emitEvent('batch_stopped', {
+            reason,
+            eresult: errorCode,
+            eresult_name: rule.name,
+            remaining: results.temporaryFailures.length
+          });
+
+          break;
+        }
+
+        this.logger.debug(`[WORKER] ✗ Invite failed for ${target.slug}: ${inviteResult.error} (code: ${errorCode}, attempts: ${history.length})`);
       }
 
       // Delay between invites (except after last one)
       if (i < targets.length - 1) {
-        await this.wait(delayMs);
+        await this.wait(delayMs, signal);
       }
     }
 
@@ -380,34 +1064,63 @@ class WorkerLogic {
   }
 
   /**
-   * Classify error as 'temporary' or 'definitive'
+   * One addFriend attempt (an exception becomes a failure without eresult)
    */
-  classifyError(errorCode, errorMessage) {
-    // Definitive errors (don't retry)
-    const definitiveErrors = [
-      14, // Already friends
-      40, // Blocked
-      17  // Banned
-    ];
-
-    // Temporary errors (should retry)
-    const temporaryErrors = [
-      15, // AccessDenied (rate limit)
-      25, // LimitExceeded
-      29, // Timeout
-      84  // RateLimitExceeded
-    ];
-
-    if (definitiveErrors.includes(errorCode)) {
-      return 'definitive';
+  async attemptInvite(target) {
+    try {
+      return await this.steamConnector.addFriend(target.steamId64);
+    } catch (error) {
+      this.logger.error(`[WORKER] Exception sending invite to ${target.slug}: ${error.message}`);
+      return { success: false, error: error.message, eresult: null };
     }
+  }
 
-    if (temporaryErrors.includes(errorCode)) {
-      return 'temporary';
+  /**
+   * Event fields describing an invite outcome (shared by invite_attempt and invite_result)
+   */
+  describeInviteOutcome(target, inviteResult, rule) {
+    if (inviteResult.success) {
+      return { steam_id: target.steamId64, success: true, eresult: inviteResult.eresult };
     }
 
-    // Default to temporary for unknown errors
-    return 'temporary';
+    return {
+      steam_id: target.steamId64,
+      success: false,
+      eresult: inviteResult.eresult,
+      eresult_name: rule.name,
+      error_type: rule.error_type,
+      error: inviteResult.error
+    };
+  }
+
+  /**
+   * Whether a failure may be retried within the batch (temporary and not stopping it)
+   */
+  isRetryable(rule) {
+    return rule.error_type === 'temporary' && !rule.stop_batch;
+  }
+
+  /**
+   * batch_stopped reason of a stopping error policy rule
+   */
+  getStopReason(rule) {
+    if (rule.banned) {
+      return 'account_banned';
+    }
+    if (rule.cooldown) {
+      return 'rate_limited';
+    }
+    if (rule.limit_reached) {
+      return 'account_limit';
+    }
+    return 'error_policy';
+  }
+
+  /**
+   * Classify error as 'temporary' or 'definitive' (see error_policy.js)
+   */
+  classifyError(errorCode, errorMessage, errorPolicy = this.errorPolicy) {
+    return errorPolicy.resolve(errorCode).error_type;
   }
 
   /**
@@ -422,11 +1135,35 @@ class WorkerLogic {
   }
 
   /**
-   * Wait helper
+   * Wait helper (resolves early if the signal is aborted)
    */
-  async wait(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  async wait(ms, signal = null) {
+    return new Promise(resolve => {
+      if (!signal) {
+        setTimeout(resolve, ms);
+        return;
+      }
+
+      if (signal.aborted) {
+        resolve();
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+      const timer = setTimeout(() => {
+        signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+
+      signal.addEventListener('abort', onAbort, { once: true });
+    });
   }
 }
 
+WorkerLogic.CAPACITY_DEFAULTS = CAPACITY_DEFAULTS;
+WorkerLogic.RETRY_DEFAULTS = RETRY_DEFAULTS;
+
 module.exports = WorkerLogic;
\ No newline at end of file
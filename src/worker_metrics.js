@@ -0,0 +1,195 @@
+// steam_worker/src/worker_metrics.js
+
+const { MetricsRegistry } = require('./metrics');
+
+/**
+ * Worker metrics (exposed on /metrics)
+ *
+ * Counters and histograms are fed from the batch events emitted by
+ * WorkerLogic (see `recordEvent`) and from finished results; gauges read
+ * the limiter and job store at scrape time.
+ */
+class WorkerMetrics {
+  /**
+   * @param {Object} sources - Live state read at scrape time
+   * @param {Object} sources.sessionLimiter - SessionLimiter (active/queued sessions)
+   * @param {Object} sources.jobManager - JobManager (in-flight jobs)
+   */
+  constructor(sources = {}) {
+    this.registry = new MetricsRegistry();
+
+    this.invites = this.registry.counter(
+      'steam_worker_invites_total',
+      'Friend invites by final outcome (sent, definitive, temporary) and eresult',
+      ['outcome', 'eresult']
+    );
+    this.inviteRetries = this.registry.counter(
+      'steam_worker_invite_retries_total',
+      'Retried friend invites by the eresult of the failed attempt',
+      ['eresult']
+    );
+    this.batchStops = this.registry.counter(
+      'steam_worker_batch_stops_total',
+      'Batches stopped early by reason and eresult',
+      ['reason', 'eresult']
+    );
+    this.inviteCancellations = this.registry.counter(
+      'steam_worker_invite_cancellations_total',
+      'Sent invites withdrawn during cleanup by result (confirmed, unconfirmed, failed)',
+      ['result']
+    );
+    this.cancellations = this.registry.counter(
+      'steam_worker_cancellations_total',
+      'Cancelled batches by reason (cancelled, shutdown)',
+      ['reason']
+    );
+    this.loginAttempts = this.registry.counter(
+      'steam_worker_login_attempts_total',
+      'Steam logon attempts (including retries) by outcome',
+      ['outcome']
+    );
+    this.loginFailures = this.registry.counter(
+      'steam_worker_login_failures_total',
+      'Failed Steam logins by category',
+      ['category']
+    );
+    this.sessionReuses = this.registry.counter(
+      'steam_worker_session_reuses_total',
+      'Batches that reused a pooled session instead of logging on'
+    );
+
+    this.loginDuration = this.registry.histogram(
+      'steam_worker_login_duration_seconds',
+      'Time to log on (including retries)',
+      ['outcome']
+    );
+    this.inviteDuration = this.registry.histogram(
+      'steam_worker_invite_duration_seconds',
+      'Latency of a single friend invite attempt',
+      ['outcome'],
+      [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]
+    );
+    this.requestDuration = this.registry.histogram(
+      'steam_worker_request_duration_seconds',
+      'Duration of a whole request (including queueing) by mode and operation',
+      ['mode', 'operation'],
+      [1, 5, 10, 30, 60, 120, 300, 600]
+    );
+
+    this.registry.gauge(
+      'steam_worker_active_sessions',
+      'Admitted Steam sessions by state (running, queued)',
+      ['state'],
+      (gauge) => {
+        if (!sources.sessionLimiter) {
+          return;
+        }
+        const stats = sources.sessionLimiter.getStats();
+        gauge.set({ state: 'running' }, stats.running);
+        gauge.set({ state: 'queued' }, stats.queued);
+      }
+    );
+    this.registry.gauge(
+      'steam_worker_jobs_in_flight',
+      'Asynchronous jobs not finished yet by status (queued, running)',
+      ['status'],
+      (gauge) => {
+        if (!sources.jobManager) {
+          return;
+        }
+        const stats = sources.jobManager.getStats();
+        gauge.set({ status: 'queued' }, stats.queued);
+        gauge.set({ status: 'running' }, stats.running);
+      }
+    );
+  }
+
+  /**
+   * Record a WorkerLogic batch event
+   */
+  recordEvent(event) {
+    switch (event.type) {
+      case 'connected':
+        if (event.auth_method === 'pooled_session') {
+          this.sessionReuses.inc();
+          return;
+        }
+        // Only the last attempt succeeded, earlier ones were retried failures
+        this.loginAttempts.inc({ outcome: 'success' });
+        if (event.attempts > 1) {
+          this.loginAttempts.inc({ outcome: 'failure' }, event.attempts - 1);
+        }
+        this.loginDuration.observe({ outcome: 'success' }, event.duration_ms / 1000);
+        break;
+
+      case 'connection_failed':
+        this.loginAttempts.inc({ outcome: 'failure' }, event.attempts || 1);
+        this.loginFailures.inc({ category: event.category || 'unknown' });
+        this.loginDuration.observe({ outcome: 'failure' }, event.duration_ms / 1000);
+        break;
+
+      // Latency per attempt, outcome once per target (invite_result is final)
+      case 'invite_attempt':
+        if (event.duration_ms !== undefined) {
+          this.inviteDuration.observe({ outcome: event.success ? 'sent' : event.error_type }, event.duration_ms / 1000);
+        }
+        break;
+
+      case 'invite_result':
+        this.invites.inc({
+          outcome: event.success ? 'sent' : event.error_type,
+          eresult: event.eresult === null ? 'none' : event.eresult
+        });
+        break;
+
+      case 'invite_cancelled': {
+        let result = 'failed';
+        if (event.success) {
+          result = event.confirmed ? 'confirmed' : 'unconfirmed';
+        }
+        this.inviteCancellations.inc({ result });
+        break;
+      }
+
+      case 'invite_retry':
+        this.inviteRetries.inc({ eresult: event.eresult === null ? 'none' : event.eresult });
+        break;
+
+      case 'batch_stopped':
+        // Cancellations are counted from the result (with their reason)
+        if (event.reason !== 'cancelled') {
+          this.batchStops.inc({ reason: event.reason, eresult: event.eresult === null ? 'none' : event.eresult });
+        }
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Record a finished request
+   *
+   * @param {Object} result - processInvites (or friends/cleanup) result
+   * @param {string} mode - 'sync' or 'job'
+   * @param {number} durationMs - Total request time
+   * @param {string} operation - 'process_invites', 'friends' or 'cleanup'
+   */
+  recordResult(result, mode, durationMs, operation = 'process_invites') {
+    if (result.cancelled) {
+      this.cancellations.inc({ reason: result.cancel_reason || 'cancelled' });
+    }
+    this.requestDuration.observe({ mode, operation }, durationMs / 1000);
+  }
+
+  /**
+   * Prometheus text exposition
+   */
+  render() {
+    return this.registry.render();
+  }
+}
+
+WorkerMetrics.CONTENT_TYPE = MetricsRegistry.CONTENT_TYPE;
+
+module.exports = WorkerMetrics;
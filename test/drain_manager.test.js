@@ -0,0 +1,58 @@
+// steam_worker/test/drain_manager.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DrainManager = require('../src/drain_manager');
+const { silentLogger } = require('./helpers');
+
+/**
+ * A batch that finishes after `ms`, or early with 'aborted' if its signal fires
+ */
+function batch(abortController, ms) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => resolve('finished'), ms);
+    abortController.signal.addEventListener('abort', () => {
+      clearTimeout(timer);
+      resolve(abortController.signal.reason);
+    }, { once: true });
+  });
+}
+
+test('batches finishing within the grace period are not aborted', async () => {
+  const drain = new DrainManager(silentLogger, { gracePeriodMs: 500 });
+  const abortController = new AbortController();
+  const running = drain.track(abortController, () => batch(abortController, 20));
+
+  const summary = await drain.drain();
+
+  assert.deepEqual(summary, { completed: 1, aborted: 0 });
+  assert.equal(await running, 'finished');
+  assert.equal(abortController.signal.aborted, false);
+});
+
+test('batches outliving the grace period are aborted with reason shutdown', async () => {
+  const drain = new DrainManager(silentLogger, { gracePeriodMs: 20 });
+  const fast = new AbortController();
+  const slow = new AbortController();
+  const fastRun = drain.track(fast, () => batch(fast, 5));
+  const slowRun = drain.track(slow, () => batch(slow, 5000));
+
+  const summary = await drain.drain();
+
+  assert.deepEqual(summary, { completed: 1, aborted: 1 });
+  assert.equal(await fastRun, 'finished');
+  assert.equal(await slowRun, 'shutdown');
+  assert.equal(drain.getStats().in_flight, 0);
+});
+
+test('drain is idempotent and reported in stats', async () => {
+  const drain = new DrainManager(silentLogger, { gracePeriodMs: 0 });
+
+  assert.equal(drain.getStats().draining, false);
+  const first = drain.drain();
+
+  assert.equal(drain.drain(), first);
+  assert.deepEqual(await first, { completed: 0, aborted: 0 });
+  assert.equal(drain.getStats().draining, true);
+  assert.ok(drain.getStats().drain_started_at);
+});
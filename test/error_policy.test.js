@@ -0,0 +1,40 @@
+// steam_worker/test/error_policy.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ErrorPolicy } = require('../src/error_policy');
+
+test('defaults: stop, cooldown, limit and ban handling per eresult', () => {
+  const policy = ErrorPolicy.defaults;
+  const flags = (code) => {
+    const rule = policy.resolve(code);
+    return [rule.error_type, rule.stop_batch, rule.cooldown, rule.limit_reached, rule.banned];
+  };
+
+  assert.deepEqual(flags(14), ['definitive', false, false, false, false]);
+  assert.deepEqual(flags(15), ['temporary', true, true, false, false]);
+  assert.deepEqual(flags(17), ['definitive', true, false, false, true]);
+  assert.deepEqual(flags(25), ['temporary', true, false, true, false]);
+  assert.deepEqual(flags(84), ['temporary', true, false, true, false]);
+  assert.deepEqual(flags(2), ['temporary', false, false, false, false]);
+  assert.equal(policy.resolve(84).name, 'RateLimitExceeded');
+  assert.equal(policy.resolve(null).name, null);
+});
+
+test('overrides are merged field by field and layered', () => {
+  const deployment = new ErrorPolicy({ 29: { stop_batch: true } });
+  const request = deployment.withOverrides({ 15: { cooldown: false }, 2: { error_type: 'definitive' } });
+
+  assert.equal(request.resolve(29).stop_batch, true);
+  assert.equal(request.resolve(15).cooldown, false);
+  assert.equal(request.resolve(15).stop_batch, true);
+  assert.equal(request.resolve(2).error_type, 'definitive');
+  assert.equal(deployment.resolve(15).cooldown, true);
+  assert.equal(deployment.withOverrides(undefined), deployment);
+});
+
+test('invalid overrides are rejected', () => {
+  assert.throws(() => new ErrorPolicy({ abc: {} }), /not an eresult/);
+  assert.throws(() => new ErrorPolicy({ 15: { error_type: 'fatal' } }), /error_type/);
+  assert.throws(() => new ErrorPolicy({ 15: { cooldown: 'yes' } }), /cooldown must be a boolean/);
+});
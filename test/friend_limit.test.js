@@ -0,0 +1,19 @@
+// steam_worker/test/friend_limit.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { friendLimitForLevel, resolveFriendLimit } = require('../src/friend_limit');
+
+test('friendLimitForLevel: 250 plus 5 per level, capped at 2000', () => {
+  assert.equal(friendLimitForLevel(0), 250);
+  assert.equal(friendLimitForLevel(10), 300);
+  assert.equal(friendLimitForLevel(350), 2000);
+  assert.equal(friendLimitForLevel(null), 250);
+  assert.equal(friendLimitForLevel(-1), 250);
+});
+
+test('resolveFriendLimit: override, then Steam level, then default', () => {
+  assert.deepEqual(resolveFriendLimit(220, 10), { friend_limit: 220, source: 'override' });
+  assert.deepEqual(resolveFriendLimit(undefined, 10), { friend_limit: 300, source: 'steam_level' });
+  assert.deepEqual(resolveFriendLimit(undefined, null), { friend_limit: 250, source: 'default' });
+});
@@ -0,0 +1,156 @@
+// steam_worker/test/helpers.js
+
+const { createApp } = require('../server');
+const FakeSteamUser = require('../src/fake_steam_user');
+
+const API_KEY = 'test-api-key';
+
+const silentLogger = {
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+  debug: () => {}
+};
+
+/**
+ * 2FA code registry that accepts every code
+ * Back-to-back logons in a test would otherwise wait for the next 30 s
+ * TOTP window (code reuse has its own tests with a real TotpRegistry)
+ */
+function acceptingTotpRegistry() {
+  return {
+    consume: () => true,
+    isConsumed: () => false,
+    msUntilNextWindow: () => 0
+  };
+}
+
+/**
+ * Build a `myFriends` map of `count` entries with the given relationship
+ * SteamIDs are sequential starting at `firstId`
+ */
+function buildFriends(count, relationship, firstId = 76561198100000000n) {
+  const friends = {};
+  for (let i = 0; i < count; i++) {
+    friends[String(firstId + BigInt(i))] = relationship;
+  }
+  return friends;
+}
+
+/**
+ * Build a valid process-invites body, merging overrides per section
+ */
+function buildBody(overrides = {}) {
+  return {
+    account: {
+      username: 'test_account',
+      weekly_invite_slots: 30,
+      overall_friend_slots: null,
+      ...overrides.account
+    },
+    credentials: {
+      username: 'test_account',
+      password: 'hunter2',
+      sharedSecret: 'c2hhcmVkLXNlY3JldC0xMjM0NQ==',
+      ...overrides.credentials
+    },
+    targets: overrides.targets || [
+      { slug: '76561198000000101' },
+      { slug: '76561198000000102' },
+      { slug: '76561198000000103' }
+    ],
+    options: {
+      delay_between_invites_ms: 1,
+      ...overrides.options
+    }
+  };
+}
+
+/**
+ * Start the API on an ephemeral port, backed by a FakeSteamUser scenario
+ */
+async function startApp(scenario = {}, config = {}) {
+  const factory = FakeSteamUser.createFactory(scenario);
+
+  const app = createApp({
+    apiKey: API_KEY,
+    logger: silentLogger,
+    ...config,
+    workerOptions: {
+      connectorOptions: {
+        clientFactory: factory,
+        totpRegistry: acceptingTotpRegistry(),
+        connectionTimeoutMs: 500,
+        loginRetryDelayMs: 0,
+        inviteTimeoutMs: 200,
+        verificationDelayMs: 0,
+        friendsListWaitMs: 0,
+        cancelConfirmTimeoutMs: 50,
+        refreshTokenWaitMs: 50
+      },
+      cleanerOptions: { cancelDelayMs: 0 },
+      ...config.workerOptions
+    }
+  });
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, path, body, headers = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        'content-type': 'application/json',
+        'x-api-key': API_KEY,
+        ...headers
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch (error) {
+      // Non-JSON response (e.g. event stream)
+    }
+    return { status: response.status, headers: response.headers, body: json, text };
+  };
+
+  const close = async () => {
+    app.locals.jobManager.shutdown();
+    if (app.locals.sessionPool) {
+      app.locals.sessionPool.closeAll();
+    }
+    factory.clients.forEach(client => client.destroy());
+    await new Promise(resolve => server.close(resolve));
+  };
+
+  return { app, baseUrl, factory, request, close };
+}
+
+/**
+ * Poll a job until it leaves the queued/running states
+ */
+async function waitForJob(request, jobId, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const response = await request('GET', `/api/steam/jobs/${jobId}`);
+    if (!['queued', 'running'].includes(response.body.status)) {
+      return response;
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`Job ${jobId} did not finish within ${timeoutMs}ms`);
+}
+
+module.exports = {
+  API_KEY,
+  silentLogger,
+  acceptingTotpRegistry,
+  buildFriends,
+  buildBody,
+  startApp,
+  waitForJob
+};
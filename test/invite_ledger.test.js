@@ -0,0 +1,53 @@
+// steam_worker/test/invite_ledger.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const InviteLedger = require('../src/invite_ledger');
+const { silentLogger } = require('./helpers');
+
+test('entries keep their first sent time and list oldest first', () => {
+  const ledger = new InviteLedger(silentLogger);
+
+  ledger.recordSent('Account', '2', new Date('2024-01-02T00:00:00Z'));
+  ledger.recordSent('account', '1', new Date('2024-01-01T00:00:00Z'));
+  ledger.recordSent('account', '2', new Date('2024-01-09T00:00:00Z'));
+
+  assert.deepEqual(ledger.list('ACCOUNT'), [
+    { steam_id: '1', sent_at: '2024-01-01T00:00:00.000Z' },
+    { steam_id: '2', sent_at: '2024-01-02T00:00:00.000Z' }
+  ]);
+  assert.deepEqual(ledger.list('other'), []);
+});
+
+test('cancelled and no longer pending invites are forgotten', () => {
+  const ledger = new InviteLedger(silentLogger);
+  ['1', '2', '3'].forEach(id => ledger.recordSent('account', id));
+
+  ledger.recordRemoved('account', ['1']);
+  assert.equal(ledger.reconcile('account', ['3', '4']), 1);
+
+  assert.deepEqual(ledger.list('account').map(entry => entry.steam_id), ['3']);
+  ledger.recordRemoved('account', ['3']);
+  assert.equal(ledger.accounts.size, 0);
+});
+
+test('the ledger survives a restart through its file', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ledger-'));
+  const filePath = path.join(dir, 'nested', 'ledger.json');
+  try {
+    const ledger = new InviteLedger(silentLogger, { filePath });
+    ledger.recordSent('account', '1', new Date('2024-01-01T00:00:00Z'));
+    ledger.flush();
+
+    const reloaded = new InviteLedger(silentLogger, { filePath });
+    assert.deepEqual(reloaded.list('account'), [{ steam_id: '1', sent_at: '2024-01-01T00:00:00.000Z' }]);
+
+    fs.writeFileSync(filePath, '{not json');
+    assert.deepEqual(new InviteLedger(silentLogger, { filePath }).list('account'), []);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,62 @@
+// steam_worker/test/logger.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Logger, redact, credentialSecrets, REDACTED } = require('../src/logger');
+
+/**
+ * Logger writing parsed JSON lines into an array
+ */
+function captureLogger(options = {}) {
+  const lines = [];
+  const logger = new Logger({ ...options, write: (line) => lines.push(JSON.parse(line)) });
+  return { logger, lines };
+}
+
+test('lines are JSON with component, level and child context', () => {
+  const { logger, lines } = captureLogger();
+
+  logger.child({ request_id: 'req-1' }).info('[STEAM] Connected');
+  logger.warn('Plain message');
+
+  assert.equal(lines[0].level, 'info');
+  assert.equal(lines[0].component, 'steam');
+  assert.equal(lines[0].message, 'Connected');
+  assert.equal(lines[0].request_id, 'req-1');
+  assert.equal(lines[1].component, 'server');
+  assert.equal(lines[1].request_id, undefined);
+});
+
+test('lines below the configured level are dropped', () => {
+  const { logger, lines } = captureLogger({ level: 'warn' });
+
+  logger.debug('[WORKER] debug');
+  logger.info('[WORKER] info');
+  logger.error('[WORKER] error');
+
+  assert.deepEqual(lines.map(line => line.level), ['error']);
+  assert.throws(() => new Logger({ level: 'verbose' }), /Invalid log level/);
+});
+
+test('registered secrets, secret keys and JWTs are redacted', () => {
+  const { logger, lines } = captureLogger();
+  const secrets = credentialSecrets({ username: 'account', password: 'hunter2', sharedSecret: 'c2hhcmVk' });
+
+  logger.child({}, secrets).error('[STEAM] Logon failed for account with hunter2 / c2hhcmVk', {
+    credentials: { refreshToken: 'abc' },
+    note: 'token=xyz123 eyJhbGciOi.eyJzdWIiOi.c2lnbmF0dXJl'
+  });
+
+  const [line] = lines;
+  assert.equal(line.message, `Logon failed for account with ${REDACTED} / ${REDACTED}`);
+  assert.equal(line.credentials.refreshToken, REDACTED);
+  assert.equal(line.note, `token=${REDACTED} ${REDACTED}`);
+  assert.deepEqual(secrets, ['hunter2', 'c2hhcmVk']);
+});
+
+test('redact leaves ordinary values untouched', () => {
+  assert.deepEqual(
+    redact({ steam_id: '76561198000000001', auth_method: 'password', count: 3 }),
+    { steam_id: '76561198000000001', auth_method: 'password', count: 3 }
+  );
+});
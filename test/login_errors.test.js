@@ -0,0 +1,44 @@
+// steam_worker/test/login_errors.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyLoginError } = require('../src/login_errors');
+
+test('logon eresults map to categories and actions', () => {
+  const expected = {
+    5: ['invalid_credentials', 'disable_account'],
+    88: ['invalid_2fa_code', 'retry_now'],
+    84: ['rate_limited', 'retry_later'],
+    87: ['rate_limited', 'retry_later'],
+    43: ['account_disabled', 'disable_account'],
+    20: ['network', 'retry_now'],
+    6: ['session_conflict', 'retry_later'],
+    999: ['unknown', 'retry_later']
+  };
+
+  for (const [eresult, [category, action]] of Object.entries(expected)) {
+    const loginError = classifyLoginError({ error: 'x', eresult: Number(eresult) });
+
+    assert.equal(loginError.category, category, `eresult ${eresult}`);
+    assert.equal(loginError.action, action, `eresult ${eresult}`);
+  }
+});
+
+test('only transient categories are retryable', () => {
+  assert.equal(classifyLoginError({ eresult: 20 }).retryable, true);
+  assert.equal(classifyLoginError({ eresult: 88 }).retryable, true);
+  assert.equal(classifyLoginError({ eresult: 84 }).retryable, false);
+  assert.equal(classifyLoginError({ eresult: 5 }).retryable, false);
+});
+
+test('local errors without eresult', () => {
+  assert.equal(classifyLoginError({ error: 'Connection timeout', eresult: null }).category, 'network');
+  assert.equal(classifyLoginError({ error: '2FA code already used for x' }).category, 'totp_unavailable');
+  assert.equal(classifyLoginError({ error: 'Something else' }).category, 'unknown');
+});
+
+test('AccessDenied depends on the auth method', () => {
+  assert.equal(classifyLoginError({ eresult: 15, authMethod: 'refresh_token' }).category, 'invalid_refresh_token');
+  assert.equal(classifyLoginError({ eresult: 15, authMethod: 'password' }).category, 'unknown');
+  assert.equal(classifyLoginError({ eresult: 5 }).eresult_name, 'InvalidPassword');
+});
@@ -0,0 +1,79 @@
+// steam_worker/test/metrics.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MetricsRegistry } = require('../src/metrics');
+const WorkerMetrics = require('../src/worker_metrics');
+
+test('counters render with HELP, TYPE and escaped labels', () => {
+  const registry = new MetricsRegistry();
+  const counter = registry.counter('test_total', 'A counter', ['reason']);
+
+  counter.inc({ reason: 'say "hi"' });
+  counter.inc({ reason: 'say "hi"' }, 2);
+
+  assert.equal(registry.render(), [
+    '# HELP test_total A counter',
+    '# TYPE test_total counter',
+    'test_total{reason="say \\"hi\\""} 3',
+    ''
+  ].join('\n'));
+  assert.throws(() => registry.counter('test_total', 'Again'), /already registered/);
+});
+
+test('histograms render cumulative buckets, sum and count', () => {
+  const registry = new MetricsRegistry();
+  const histogram = registry.histogram('latency_seconds', 'Latency', [], [0.1, 1]);
+
+  histogram.observe({}, 0.05);
+  histogram.observe({}, 0.5);
+  histogram.observe({}, 3);
+
+  const text = registry.render();
+  assert.match(text, /latency_seconds_bucket\{le="0.1"\} 1/);
+  assert.match(text, /latency_seconds_bucket\{le="1"\} 2/);
+  assert.match(text, /latency_seconds_bucket\{le="\+Inf"\} 3/);
+  assert.match(text, /latency_seconds_sum 3.55/);
+  assert.match(text, /latency_seconds_count 3/);
+});
+
+test('worker events map to invite, login and early stop metrics', () => {
+  const metrics = new WorkerMetrics({
+    sessionLimiter: { getStats: () => ({ running: 2, queued: 1 }) },
+    jobManager: { getStats: () => ({ queued: 0, running: 1 }) }
+  });
+
+  metrics.recordEvent({ type: 'connected', auth_method: 'password', attempts: 2, duration_ms: 1200 });
+  metrics.recordEvent({ type: 'invite_attempt', success: false, eresult: 29, error_type: 'temporary', attempt: 1, duration_ms: 200 });
+  metrics.recordEvent({ type: 'invite_attempt', success: true, eresult: 1, attempt: 2, duration_ms: 300 });
+  metrics.recordEvent({ type: 'invite_result', success: true, eresult: 1, attempts: 2, duration_ms: 500 });
+  metrics.recordEvent({ type: 'invite_result', success: false, eresult: 15, error_type: 'temporary', attempts: 1, duration_ms: 100 });
+  metrics.recordEvent({ type: 'invite_cancelled', steam_id: '1', success: true, confirmed: true });
+  metrics.recordEvent({ type: 'invite_cancelled', steam_id: '2', success: true, confirmed: false });
+  metrics.recordEvent({ type: 'invite_cancelled', steam_id: '3', success: false, confirmed: false });
+  metrics.recordEvent({ type: 'invite_cancelled', steam_id: '4', success: true, confirmed: true });
+  metrics.recordEvent({ type: 'batch_stopped', reason: 'rate_limited', eresult: 15 });
+  metrics.recordEvent({ type: 'batch_stopped', reason: 'cancelled', eresult: null });
+  metrics.recordEvent({ type: 'connection_failed', category: 'invalid_credentials', attempts: 1, duration_ms: 50 });
+  metrics.recordResult({ cancelled: true, cancel_reason: 'shutdown' }, 'job', 4000);
+
+  assert.equal(metrics.invites.get({ outcome: 'sent', eresult: 1 }), 1);
+  assert.equal(metrics.invites.get({ outcome: 'temporary', eresult: 15 }), 1);
+  assert.equal(metrics.invites.get({ outcome: 'temporary', eresult: 29 }), 0);
+  assert.equal(metrics.loginAttempts.get({ outcome: 'success' }), 1);
+  assert.equal(metrics.loginAttempts.get({ outcome: 'failure' }), 2);
+  assert.equal(metrics.inviteCancellations.get({ result: 'confirmed' }), 2);
+  assert.equal(metrics.inviteCancellations.get({ result: 'unconfirmed' }), 1);
+  assert.equal(metrics.inviteCancellations.get({ result: 'failed' }), 1);
+  assert.equal(metrics.loginFailures.get({ category: 'invalid_credentials' }), 1);
+  assert.equal(metrics.batchStops.get({ reason: 'rate_limited', eresult: 15 }), 1);
+  assert.equal(metrics.batchStops.get({ reason: 'cancelled', eresult: 'none' }), 0);
+  assert.equal(metrics.cancellations.get({ reason: 'shutdown' }), 1);
+
+  const text = metrics.render();
+  assert.match(text, /steam_worker_active_sessions\{state="running"\} 2/);
+  assert.match(text, /steam_worker_jobs_in_flight\{status="running"\} 1/);
+  assert.match(text, /steam_worker_request_duration_seconds_count\{mode="job",operation="process_invites"\} 1/);
+  assert.match(text, /steam_worker_invite_duration_seconds_count\{outcome="temporary"\} 1/);
+  assert.match(text, /steam_worker_invite_duration_seconds_count\{outcome="sent"\} 1/);
+});
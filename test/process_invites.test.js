@@ -0,0 +1,960 @@
+// steam_worker/test/process_invites.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildBody, buildFriends, startApp, waitForJob } = require('./helpers');
+const { Logger } = require('../src/logger');
+
+const TARGETS = ['76561198000000101', '76561198000000102', '76561198000000103', '76561198000000104']
+  .map(slug => ({ slug }));
+
+/**
+ * Run one process-invites request against a fresh app
+ */
+async function processInvites(scenario, overrides = {}) {
+  const api = await startApp(scenario);
+  try {
+    const response = await api.request('POST', '/api/steam/process-invites', buildBody(overrides));
+    return { ...response, factory: api.factory };
+  } finally {
+    await api.close();
+  }
+}
+
+test('rejects requests without or with a wrong API key', async () => {
+  const api = await startApp();
+  try {
+    const missing = await api.request('POST', '/api/steam/process-invites', buildBody(), { 'x-api-key': '' });
+    const wrong = await api.request('POST', '/api/steam/process-invites', buildBody(), { 'x-api-key': 'nope' });
+
+    assert.equal(missing.status, 401);
+    assert.equal(wrong.status, 403);
+  } finally {
+    await api.close();
+  }
+});
+
+test('rejects invalid bodies listing every violation', async () => {
+  const api = await startApp();
+  try {
+    const noTargets = await api.request('POST', '/api/steam/process-invites', { ...buildBody(), targets: [] });
+    const invalid = await api.request('POST', '/api/steam/jobs', buildBody({
+      credentials: { sharedSecret: '' },
+      targets: [{ slug: 76561198000000101 }]
+    }));
+
+    assert.equal(noTargets.status, 400);
+    assert.deepEqual(noTargets.body.violations, [{ path: '$.targets', message: 'must contain at least 1 item(s)' }]);
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(invalid.body.violations.map(v => v.path), [
+      '$.credentials.sharedSecret',
+      '$.credentials',
+      '$.targets[0].slug'
+    ]);
+  } finally {
+    await api.close();
+  }
+});
+
+test('sends all invites on a healthy account', async () => {
+  const { status, body, factory } = await processInvites({}, { targets: TARGETS });
+
+  assert.equal(status, 200);
+  assert.equal(body.success, true);
+  assert.deepEqual(body.results.successful, TARGETS.map(t => t.slug));
+  assert.equal(body.account_updates.initialization_performed, true);
+  assert.equal(body.account_updates.slots_used, 4);
+  assert.equal(body.account_updates.new_overall_slots, 4);
+  assert.equal(body.cooldown_info.should_apply, false);
+  assert.equal(factory.clients[0].calls.logOff, 1);
+});
+
+test('refresh token issued after a password logon is returned in account_updates', async () => {
+  const { body, factory } = await processInvites({ refreshToken: { issue: 'new-token', issueAfterMs: 20 } });
+
+  assert.equal(body.success, true);
+  assert.equal(body.account_updates.auth_method, 'password');
+  assert.equal(body.account_updates.refresh_token, 'new-token');
+  assert.equal(factory.clients[0].calls.logOff, 1);
+});
+
+test('refresh token logons do not wait for a new token', async () => {
+  const { body } = await processInvites(
+    { refreshToken: { valid: 'good-token', issue: 'new-token' } },
+    { credentials: { refreshToken: 'good-token' } }
+  );
+
+  assert.equal(body.success, true);
+  assert.equal(body.account_updates.auth_method, 'refresh_token');
+  assert.equal(body.account_updates.refresh_token, null);
+});
+
+test('connection failure requests a cooldown with a structured login error', async () => {
+  const { body } = await processInvites({ logOn: { eresult: 87 } });
+
+  assert.equal(body.success, false);
+  assert.equal(body.cooldown_info.should_apply, true);
+  assert.equal(body.cooldown_info.reason, 'connection_failure');
+  assert.deepEqual(body.login_error, {
+    category: 'rate_limited',
+    action: 'retry_later',
+    retryable: false,
+    eresult: 87,
+    eresult_name: 'AccountLoginDeniedThrottle',
+    message: 'Logon failed (eresult 87)',
+    attempts: 1
+  });
+});
+
+test('no weekly slots reports limitReached without sending', async () => {
+  const { body, factory } = await processInvites({}, { account: { weekly_invite_slots: 0 } });
+
+  assert.equal(body.success, true);
+  assert.equal(body.results.limitReached, true);
+  assert.deepEqual(factory.clients[0].calls.addFriend, []);
+});
+
+test('eresult 15 stops the batch and triggers cooldown', async () => {
+  const { body } = await processInvites(
+    { addFriend: { bySteamId: { '76561198000000102': { eresult: 15 } } } },
+    { targets: TARGETS }
+  );
+
+  assert.deepEqual(body.results.successful, ['76561198000000101']);
+  assert.equal(body.results.failed[0].errorCode, 15);
+  assert.equal(body.results.failed[0].errorName, 'AccessDenied');
+  assert.deepEqual(body.results.temporaryFailures, ['76561198000000103', '76561198000000104']);
+  assert.equal(body.results.invitationErrorCount, 1);
+  assert.equal(body.results.limitReached, false);
+  assert.deepEqual(body.cooldown_info, {
+    should_apply: true,
+    error_codes: [15],
+    error_names: ['AccessDenied'],
+    reason: 'invitation_errors'
+  });
+});
+
+test('error_policy overrides how an eresult is handled for one request', async () => {
+  const scenario = { addFriend: { bySteamId: { '76561198000000102': { eresult: 15 }, '76561198000000103': { eresult: 2 } } } };
+  const { body } = await processInvites(scenario, {
+    targets: TARGETS,
+    options: { error_policy: { 15: { stop_batch: false, cooldown: false }, 2: { error_type: 'definitive' } } }
+  });
+  const { body: invalid } = await processInvites({}, { options: { error_policy: { abc: {}, 15: { cooldown: 'no' } } } });
+
+  assert.deepEqual(body.results.successful, ['76561198000000101', '76561198000000104']);
+  assert.deepEqual(body.results.failed.map(f => [f.errorCode, f.errorName, f.errorType]), [
+    [15, 'AccessDenied', 'temporary'],
+    [2, 'Fail', 'definitive']
+  ]);
+  assert.equal(body.cooldown_info.should_apply, false);
+
+  assert.deepEqual(invalid.violations.map(v => v.path).sort(), [
+    '$.options.error_policy.15.cooldown',
+    '$.options.error_policy.abc'
+  ]);
+});
+
+for (const eresult of [25, 84]) {
+  test(`eresult ${eresult} stops the batch without cooldown`, async () => {
+    const { body } = await processInvites(
+      { addFriend: { bySteamId: { '76561198000000101': { eresult } } } },
+      { targets: TARGETS }
+    );
+
+    assert.deepEqual(body.results.successful, []);
+    assert.equal(body.results.limitReached, true);
+    assert.equal(body.results.temporaryFailures.length, 3);
+    assert.equal(body.cooldown_info.should_apply, false);
+  });
+}
+
+test('eresult 17 flags the account as banned', async () => {
+  const { body } = await processInvites(
+    { addFriend: { bySteamId: { '76561198000000103': { eresult: 17 } } } },
+    { targets: TARGETS }
+  );
+
+  assert.equal(body.results.accountBanned, true);
+  assert.equal(body.results.failed[0].errorType, 'definitive');
+  assert.deepEqual(body.results.temporaryFailures, ['76561198000000104']);
+  assert.equal(body.cooldown_info.should_apply, false);
+});
+
+test('transient invite failures are retried with backoff when a retry policy is set', async () => {
+  const scenario = { addFriend: { bySteamId: { '76561198000000101': { sequence: [29, 29, 1] }, '76561198000000103': { eresult: 14 } } } };
+  const { body: retried, factory } = await processInvites(scenario, {
+    targets: TARGETS,
+    options: { retry_policy: { max_attempts: 3, backoff_ms: 5 } }
+  });
+  const { body: single } = await processInvites(scenario, { targets: TARGETS });
+
+  assert.deepEqual(retried.results.successful, ['76561198000000101', '76561198000000102', '76561198000000104']);
+  assert.deepEqual(retried.results.attemptHistory['76561198000000101'].map(a => [a.attempt, a.eresult, a.eresult_name]), [
+    [1, 29, 'DuplicateRequest'],
+    [2, 29, 'DuplicateRequest'],
+    [3, 1, null]
+  ]);
+  assert.equal(retried.results.retriesUsed, 2);
+  assert.equal(retried.results.failed[0].attempts, 1);
+  assert.equal(factory.clients[0].calls.addFriend.filter(id => id === '76561198000000103').length, 1);
+
+  assert.equal(single.results.failed[0].errorCode, 29);
+  assert.equal(single.results.failed[0].attempts, 1);
+  assert.equal(single.results.retriesUsed, 0);
+});
+
+test('definitive errors do not stop the batch', async () => {
+  const { body } = await processInvites(
+    { addFriend: { bySteamId: { '76561198000000101': { eresult: 14 }, '76561198000000102': { eresult: 40 } } } },
+    { targets: TARGETS }
+  );
+
+  assert.equal(body.results.failed.length, 2);
+  assert.deepEqual(body.results.successful, ['76561198000000103', '76561198000000104']);
+  assert.deepEqual(body.results.temporaryFailures, []);
+});
+
+test('cleanup cancels DB-prioritized invites before sending', async () => {
+  const friends = { ...buildFriends(240, 3), ...buildFriends(10, 4, 76561198200000000n) };
+  const { body, factory } = await processInvites(
+    { friends },
+    {
+      targets: TARGETS,
+      options: { oldest_pending_invites: ['76561198200000009', '76561198299999999', '76561198200000005'] }
+    }
+  );
+
+  assert.equal(body.account_updates.cleanup_performed, true);
+  assert.equal(body.account_updates.slots_freed, 4);
+  assert.deepEqual(factory.clients[0].calls.removeFriend.slice(0, 2), ['76561198200000009', '76561198200000005']);
+  assert.equal(body.results.successful.length, 4);
+  assert.equal(body.account_updates.new_overall_slots, 250);
+});
+
+test('friend limit follows the Steam level unless overridden', async () => {
+  const friends = { ...buildFriends(286, 3), ...buildFriends(10, 4, 76561198200000000n) };
+  const leveled = await processInvites({ friends, steamLevel: 10 }, { targets: TARGETS });
+  const overridden = await processInvites(
+    { friends, steamLevel: 10 },
+    { targets: TARGETS, options: { max_overall_slots: 298 } }
+  );
+  const unknownLevel = await processInvites(
+    { friends: buildFriends(2, 3), getSteamLevels: { fail: true } },
+    { targets: TARGETS }
+  );
+
+  assert.equal(leveled.body.account_updates.steam_level, 10);
+  assert.equal(leveled.body.account_updates.friend_limit, 300);
+  assert.equal(leveled.body.account_updates.friend_limit_source, 'steam_level');
+  assert.equal(leveled.body.account_updates.cleanup_performed, false);
+  assert.equal(leveled.body.account_updates.new_overall_slots, 300);
+
+  assert.equal(overridden.body.account_updates.friend_limit, 298);
+  assert.equal(overridden.body.account_updates.friend_limit_source, 'override');
+  assert.equal(overridden.body.account_updates.slots_freed, 2);
+
+  assert.equal(unknownLevel.body.account_updates.steam_level, null);
+  assert.equal(unknownLevel.body.account_updates.friend_limit, 250);
+  assert.equal(unknownLevel.body.account_updates.friend_limit_source, 'default');
+});
+
+test('mixed Steam ID formats are normalized and invalid ones rejected', async () => {
+  const { body, factory } = await processInvites({}, {
+    targets: [
+      { slug: 'STEAM_0:1:19867186' },
+      { slug: '[U:1:39734374]' },
+      { slug: 'https://steamcommunity.com/profiles/76561198000000103/' },
+      { slug: 'not-an-id' },
+      { slug: 'steamcommunity.com/profiles/%E0%A4%A' }
+    ]
+  });
+
+  assert.equal(body.success, true);
+  assert.deepEqual(factory.clients[0].calls.addFriend, ['76561198000000101', '76561198000000102', '76561198000000103']);
+  assert.deepEqual(body.results.successful, [
+    'STEAM_0:1:19867186',
+    '[U:1:39734374]',
+    'https://steamcommunity.com/profiles/76561198000000103/'
+  ]);
+  assert.equal(body.results.normalizedIds['[U:1:39734374]'], '76561198000000102');
+  assert.deepEqual(body.results.failed.map(f => f.steamId), ['not-an-id', 'steamcommunity.com/profiles/%E0%A4%A']);
+  assert.ok(body.results.failed.every(f => f.errorType === 'definitive'));
+});
+
+test('only invalid targets skips the Steam login', async () => {
+  const { body, factory } = await processInvites({}, { targets: [{ slug: 'nope' }] });
+
+  assert.equal(body.success, true);
+  assert.equal(body.results.failed.length, 1);
+  assert.equal(factory.clients.length, 0);
+});
+
+test('concurrent batches for the same account are queued', async () => {
+  const api = await startApp({ addFriend: { delayMs: 20 } });
+  try {
+    const [first, second] = await Promise.all([
+      api.request('POST', '/api/steam/process-invites', buildBody({ targets: TARGETS })),
+      api.request('POST', '/api/steam/process-invites', buildBody({ targets: TARGETS }))
+    ]);
+
+    assert.equal(first.body.results.successful.length, 4);
+    assert.equal(second.body.results.successful.length, 4);
+    assert.deepEqual(api.factory.log, ['0:logOn', '0:logOff', '1:logOn', '1:logOff']);
+  } finally {
+    await api.close();
+  }
+});
+
+test('busy account is rejected with 409 in reject mode', async () => {
+  const api = await startApp({ addFriend: { delayMs: 50 } }, { sessionLimits: { accountLockMode: 'reject' } });
+  try {
+    const submitted = await api.request('POST', '/api/steam/jobs', buildBody({ targets: TARGETS }));
+    const rejected = await api.request('POST', '/api/steam/process-invites', buildBody());
+
+    assert.equal(submitted.status, 202);
+    assert.equal(rejected.status, 409);
+    await waitForJob(api.request, submitted.body.job_id);
+  } finally {
+    await api.close();
+  }
+});
+
+test('session cap is enforced with 429 and Retry-After', async () => {
+  const api = await startApp({ addFriend: { delayMs: 50 } }, { sessionLimits: { maxSessions: 1, retryAfterSeconds: 12 } });
+  try {
+    const submitted = await api.request('POST', '/api/steam/jobs', buildBody({ targets: TARGETS }));
+    const refused = await api.request('POST', '/api/steam/jobs', buildBody({ credentials: { username: 'other' } }));
+    const health = await api.request('GET', '/api/steam/health');
+
+    assert.equal(refused.status, 429);
+    assert.equal(refused.headers.get('retry-after'), '12');
+    assert.equal(health.body.sessions.max_sessions, 1);
+    await waitForJob(api.request, submitted.body.job_id);
+  } finally {
+    await api.close();
+  }
+});
+
+test('job mode returns the same result shape', async () => {
+  const api = await startApp();
+  try {
+    const submitted = await api.request('POST', '/api/steam/jobs', buildBody({ targets: TARGETS }));
+    assert.equal(submitted.status, 202);
+
+    const finished = await waitForJob(api.request, submitted.body.job_id);
+
+    assert.equal(finished.body.status, 'completed');
+    assert.equal(finished.body.result.results.successful.length, 4);
+    assert.ok(finished.body.event_count > 0);
+  } finally {
+    await api.close();
+  }
+});
+
+test('a job waiting for the account lock stays queued until it starts', async () => {
+  const api = await startApp({ addFriend: { delayMs: 50 } });
+  try {
+    const first = await api.request('POST', '/api/steam/jobs', buildBody({ targets: TARGETS }));
+    const second = await api.request('POST', '/api/steam/jobs', buildBody({ targets: TARGETS }));
+    await new Promise(resolve => setTimeout(resolve, 30));
+
+    const running = await api.request('GET', first.body.status_url);
+    const waiting = await api.request('GET', second.body.status_url);
+    assert.equal(running.body.status, 'running');
+    assert.equal(waiting.body.status, 'queued');
+    assert.equal(waiting.body.started_at, null);
+
+    await waitForJob(api.request, first.body.job_id);
+    const finished = await waitForJob(api.request, second.body.job_id);
+    assert.equal(finished.body.status, 'completed');
+    assert.ok(Date.parse(finished.body.started_at) >= Date.parse(running.body.started_at) + 150);
+  } finally {
+    await api.close();
+  }
+});
+
+test('cancelling a job returns unattempted targets as temporary failures', async () => {
+  const api = await startApp({ addFriend: { delayMs: 100 } });
+  try {
+    const submitted = await api.request('POST', '/api/steam/jobs', buildBody({ targets: TARGETS }));
+    await new Promise(resolve => setTimeout(resolve, 80));
+
+    const cancel = await api.request('DELETE', `/api/steam/jobs/${submitted.body.job_id}`);
+    const finished = await waitForJob(api.request, submitted.body.job_id);
+    const { result } = finished.body;
+
+    assert.equal(cancel.status, 202);
+    assert.equal(finished.body.status, 'cancelled');
+    assert.equal(result.cancelled, true);
+    assert.equal(result.cancel_reason, 'cancelled');
+    assert.ok(result.results.temporaryFailures.length > 0);
+    assert.equal(result.results.successful.length + result.results.temporaryFailures.length, 4);
+    assert.equal(api.factory.clients[0].calls.logOff, 1);
+  } finally {
+    await api.close();
+  }
+});
+
+test('job events stream ends with the final status', async () => {
+  const api = await startApp();
+  try {
+    const submitted = await api.request('POST', '/api/steam/jobs', buildBody({ targets: TARGETS }));
+    const stream = await api.request('GET', submitted.body.events_url);
+
+    assert.match(stream.headers.get('content-type'), /text\/event-stream/);
+    assert.match(stream.text, /event: connected/);
+    assert.equal((stream.text.match(/event: invite_result/g) || []).length, 4);
+    assert.match(stream.text, /event: end/);
+  } finally {
+    await api.close();
+  }
+});
+
+test('retried invites stream every attempt but a single final result', async () => {
+  const api = await startApp({ addFriend: { bySteamId: { '76561198000000101': { sequence: [29, 29, 1] } } } });
+  try {
+    const submitted = await api.request('POST', '/api/steam/jobs', buildBody({
+      targets: TARGETS,
+      options: { retry_policy: { max_attempts: 3, backoff_ms: 5 } }
+    }));
+    const stream = await api.request('GET', submitted.body.events_url);
+    const metrics = await api.request('GET', '/metrics');
+
+    assert.equal((stream.text.match(/event: invite_attempt/g) || []).length, 6);
+    assert.equal((stream.text.match(/event: invite_result/g) || []).length, 4);
+    assert.match(stream.text, /"steam_id":"76561198000000101","success":true,"eresult":1,"attempts":3/);
+    assert.match(metrics.text, /steam_worker_invites_total\{outcome="sent",eresult="1"\} 4/);
+    assert.doesNotMatch(metrics.text, /steam_worker_invites_total\{outcome="temporary"/);
+  } finally {
+    await api.close();
+  }
+});
+
+test('job events never carry credentials from Steam errors', async () => {
+  const api = await startApp({ logOn: { eresult: 5, message: 'InvalidPassword for hunter2' } });
+  try {
+    const submitted = await api.request('POST', '/api/steam/jobs', buildBody());
+    const stream = await api.request('GET', submitted.body.events_url);
+
+    assert.match(stream.text, /event: connection_failed/);
+    assert.match(stream.text, /\[REDACTED\]/);
+    assert.doesNotMatch(stream.text, /hunter2/);
+  } finally {
+    await api.close();
+  }
+});
+
+test('pooled sessions are reused across requests and can be force-closed', async () => {
+  const api = await startApp({}, { sessionPool: { idleTtlMs: 60000 } });
+  try {
+    const first = await api.request('POST', '/api/steam/process-invites', buildBody());
+    const second = await api.request('POST', '/api/steam/process-invites', buildBody());
+
+    assert.equal(first.body.account_updates.auth_method, 'password');
+    assert.equal(second.body.success, true);
+    assert.equal(second.body.account_updates.auth_method, 'pooled_session');
+    assert.equal(api.factory.clients.length, 1);
+    assert.deepEqual(api.factory.log, ['0:logOn']);
+
+    const listed = await api.request('GET', '/api/steam/sessions');
+    assert.equal(listed.body.sessions.length, 1);
+    assert.equal(listed.body.sessions[0].state, 'idle');
+    assert.equal(listed.body.sessions[0].use_count, 2);
+
+    const closed = await api.request('DELETE', '/api/steam/sessions/test_account');
+    assert.equal(closed.body.status, 'closed');
+    assert.deepEqual(api.factory.log, ['0:logOn', '0:logOff']);
+
+    const missing = await api.request('DELETE', '/api/steam/sessions/test_account');
+    assert.equal(missing.status, 404);
+  } finally {
+    await api.close();
+  }
+});
+
+test('idle pooled sessions count toward the session cap', async () => {
+  const api = await startApp({}, { sessionPool: { idleTtlMs: 60000 }, sessionLimits: { maxSessions: 2 } });
+  const bodyFor = (username) => buildBody({ account: { username }, credentials: { username } });
+  try {
+    await api.request('POST', '/api/steam/process-invites', bodyFor('alpha'));
+    await api.request('POST', '/api/steam/process-invites', bodyFor('bravo'));
+    assert.deepEqual(api.factory.log, ['0:logOn', '1:logOn']);
+
+    // Two idle sessions fill the cap: the oldest is logged off before a third logs on
+    const third = await api.request('POST', '/api/steam/process-invites', bodyFor('charlie'));
+    assert.equal(third.body.success, true);
+    assert.deepEqual(api.factory.log, ['0:logOn', '1:logOn', '0:logOff', '2:logOn']);
+
+    // An account reusing its own idle session evicts nothing
+    const again = await api.request('POST', '/api/steam/process-invites', bodyFor('bravo'));
+    assert.equal(again.body.account_updates.auth_method, 'pooled_session');
+    assert.equal(api.factory.log.length, 4);
+  } finally {
+    await api.close();
+  }
+});
+
+test('session endpoints return 404 when pooling is disabled', async () => {
+  const api = await startApp();
+  try {
+    const listed = await api.request('GET', '/api/steam/sessions');
+    assert.equal(listed.status, 404);
+  } finally {
+    await api.close();
+  }
+});
+
+test('draining aborts batches after the grace period and refuses new work', async () => {
+  const api = await startApp({ addFriend: { delayMs: 100 } }, { drain: { gracePeriodMs: 50 } });
+  try {
+    const pending = api.request('POST', '/api/steam/process-invites', buildBody({ targets: TARGETS }));
+    await new Promise(resolve => setTimeout(resolve, 30));
+
+    const drained = api.app.locals.drainManager.drain();
+    const health = await api.request('GET', '/api/steam/health');
+    const refused = await api.request('POST', '/api/steam/process-invites', buildBody());
+
+    assert.equal(health.status, 503);
+    assert.equal(health.body.status, 'draining');
+    assert.equal(health.body.drain.in_flight, 1);
+    assert.equal(refused.status, 503);
+
+    const response = await pending;
+    assert.deepEqual(await drained, { completed: 0, aborted: 1 });
+    assert.equal(response.body.cancelled, true);
+    assert.equal(response.body.cancel_reason, 'shutdown');
+    assert.ok(response.body.results.temporaryFailures.length > 0);
+    assert.equal(response.body.results.successful.length + response.body.results.temporaryFailures.length, 4);
+    assert.equal(api.factory.clients[0].calls.logOff, 1);
+  } finally {
+    await api.close();
+  }
+});
+
+test('job results aborted by a drain stay available until retrieved', async () => {
+  const api = await startApp({ addFriend: { delayMs: 100 } }, { drain: { gracePeriodMs: 50 } });
+  try {
+    const submitted = await api.request('POST', '/api/steam/jobs', buildBody({ targets: TARGETS }));
+    await new Promise(resolve => setTimeout(resolve, 30));
+
+    const { jobManager, drainManager } = api.app.locals;
+    await drainManager.drain();
+
+    let retrieved = false;
+    const waiting = jobManager.waitForRetrieval(5000, 10).then(result => { retrieved = result; });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(retrieved, false);
+
+    const status = await api.request('GET', submitted.body.status_url);
+    assert.equal(status.body.status, 'cancelled');
+    assert.ok(status.body.result.results.temporaryFailures.length > 0);
+
+    await waiting;
+    assert.equal(retrieved, true);
+    assert.equal(await jobManager.waitForRetrieval(0), true);
+  } finally {
+    await api.close();
+  }
+});
+
+test('requests aborted while queued for the account return without logging on', async () => {
+  const api = await startApp({ addFriend: { delayMs: 100 } }, { drain: { gracePeriodMs: 50 } });
+  try {
+    const running = api.request('POST', '/api/steam/process-invites', buildBody({ targets: TARGETS }));
+    await new Promise(resolve => setTimeout(resolve, 30));
+    const queuedBatch = api.request('POST', '/api/steam/process-invites', buildBody({
+      targets: [...TARGETS, { slug: 'not-an-id' }]
+    }));
+    const queuedSnapshot = api.request('POST', '/api/steam/friends', { credentials: buildBody().credentials });
+    while (api.app.locals.sessionLimiter.getStats().queued < 2) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+
+    await api.app.locals.drainManager.drain();
+    const [batch, snapshot] = await Promise.all([queuedBatch, queuedSnapshot]);
+    await running;
+
+    assert.equal(batch.body.cancelled, true);
+    assert.equal(batch.body.cancel_reason, 'shutdown');
+    assert.deepEqual(batch.body.results.temporaryFailures, TARGETS.map(t => t.slug));
+    assert.deepEqual(batch.body.results.failed.map(f => f.steamId), ['not-an-id']);
+    assert.equal(snapshot.body.success, false);
+    assert.equal(snapshot.body.cancelled, true);
+    assert.equal(snapshot.body.cancel_reason, 'shutdown');
+    assert.equal(api.factory.clients.length, 1);
+  } finally {
+    await api.close();
+  }
+});
+
+test('request ids are echoed and credentials never reach logs or errors', async () => {
+  const lines = [];
+  const logger = new Logger({ level: 'debug', write: (line) => lines.push(line) });
+  const api = await startApp(
+    { logOn: { eresult: 5, message: 'InvalidPassword for hunter2' } },
+    { logger }
+  );
+  try {
+    const response = await api.request('POST', '/api/steam/process-invites', buildBody(), {
+      'x-request-id': 'coordinator-42'
+    });
+
+    assert.equal(response.headers.get('x-request-id'), 'coordinator-42');
+    assert.equal(response.body.worker_info.request_id, 'coordinator-42');
+    assert.doesNotMatch(JSON.stringify(response.body), /hunter2/);
+    assert.match(response.body.error, /\[REDACTED\]/);
+
+    const requestLines = lines.map(line => JSON.parse(line)).filter(line => line.request_id === 'coordinator-42');
+    assert.ok(requestLines.some(line => line.component === 'steam'));
+    assert.ok(requestLines.some(line => line.component === 'worker'));
+    assert.doesNotMatch(lines.join('\n'), /hunter2|c2hhcmVkLXNlY3JldC0xMjM0NQ==/);
+  } finally {
+    await api.close();
+  }
+});
+
+test('failure texts are redacted everywhere in sync and job results', async () => {
+  const api = await startApp({
+    addFriend: { bySteamId: { '76561198000000102': { eresult: 2, message: 'Fail for hunter2' } } },
+    refreshToken: { issue: 'eyJnew.refresh.token', issueAfterMs: 5 }
+  });
+  try {
+    const sync = await api.request('POST', '/api/steam/process-invites', buildBody({ targets: TARGETS }));
+    const submitted = await api.request('POST', '/api/steam/jobs', buildBody({ targets: TARGETS }));
+    const job = await waitForJob(api.request, submitted.body.job_id);
+
+    for (const result of [sync.body, job.body.result]) {
+      assert.doesNotMatch(JSON.stringify(result), /hunter2/);
+      assert.match(result.results.failed[0].error, /\[REDACTED\]/);
+      assert.match(result.results.attemptHistory['76561198000000102'][0].error, /\[REDACTED\]/);
+      // The issued refresh token is handed back on purpose
+      assert.equal(result.account_updates.refresh_token, 'eyJnew.refresh.token');
+    }
+  } finally {
+    await api.close();
+  }
+});
+
+test('metrics endpoint reports invites from processed batches', async () => {
+  const api = await startApp({
+    addFriend: { bySteamId: { '76561198000000102': { eresult: 14 } } }
+  });
+  try {
+    await api.request('POST', '/api/steam/process-invites', buildBody());
+    const response = await fetch(`${api.baseUrl}/metrics`);
+    const text = await response.text();
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /text\/plain/);
+    assert.match(text, /steam_worker_invites_total\{outcome="sent",eresult="1"\} 2/);
+    assert.match(text, /steam_worker_invites_total\{outcome="definitive",eresult="14"\} 1/);
+    assert.match(text, /steam_worker_login_attempts_total\{outcome="success"\} 1/);
+    assert.match(text, /steam_worker_request_duration_seconds_count\{mode="sync",operation="process_invites"\} 1/);
+  } finally {
+    await api.close();
+  }
+});
+
+test('friends and cleanup requests feed the metrics', async () => {
+  const api = await startApp({ friends: buildFriends(3, 4, 76561198200000000n) });
+  try {
+    const { credentials } = buildBody();
+    await api.request('POST', '/api/steam/friends', { credentials });
+    await api.request('POST', '/api/steam/cleanup', { credentials, slots_to_free: 2 });
+    const response = await fetch(`${api.baseUrl}/metrics`);
+    const text = await response.text();
+
+    assert.match(text, /steam_worker_login_attempts_total\{outcome="success"\} 2/);
+    assert.match(text, /steam_worker_invite_cancellations_total\{result="confirmed"\} 2/);
+    assert.match(text, /steam_worker_request_duration_seconds_count\{mode="sync",operation="friends"\} 1/);
+    assert.match(text, /steam_worker_request_duration_seconds_count\{mode="sync",operation="cleanup"\} 1/);
+  } finally {
+    await api.close();
+  }
+});
+
+test('dry run returns the plan without adding or removing anyone', async () => {
+  const friends = { ...buildFriends(240, 3), ...buildFriends(10, 4, 76561198200000000n) };
+  const overrides = {
+    targets: [...TARGETS, { slug: '76561198100000000' }, { slug: '76561198200000003' }, { slug: 'not-an-id' }],
+    options: { oldest_pending_invites: ['76561198200000009', '76561198200000005'] }
+  };
+  const { body, factory } = await processInvites(
+    { friends },
+    { ...overrides, options: { ...overrides.options, dry_run: true } }
+  );
+
+  assert.equal(body.success, true);
+  assert.equal(body.dry_run, true);
+  assert.deepEqual(factory.clients[0].calls.addFriend, []);
+  assert.deepEqual(factory.clients[0].calls.removeFriend, []);
+
+  const { plan } = body;
+  assert.equal(plan.capacity.cleanup_needed, 6);
+  assert.deepEqual(plan.targets_to_send.map(t => [t.slug, t.relationship]), [
+    ...TARGETS.map(t => [t.slug, null]),
+    ['76561198100000000', 'friend'],
+    ['76561198200000003', 'invite_pending']
+  ]);
+  assert.deepEqual(plan.targets_skipped.map(t => [t.slug, t.reason]), [['not-an-id', 'invalid_steam_id']]);
+  assert.equal(plan.current_overall_slots, 250);
+  assert.equal(body.account_updates.slots_used, 0);
+
+  // The real batch cancels and sends exactly what the plan announced
+  const real = await processInvites({ friends }, overrides);
+  assert.deepEqual(real.factory.clients[0].calls.removeFriend, plan.invites_to_cancel);
+  assert.deepEqual(real.factory.clients[0].calls.addFriend, plan.targets_to_send.map(t => t.steam_id));
+});
+
+test('dry run applies the cleanup policy before picking invites to cancel', async () => {
+  const friends = {
+    ...buildFriends(240, 3),
+    ...buildFriends(2, 2, 76561198300000000n),
+    ...buildFriends(1, 1, 76561198400000000n),
+    ...buildFriends(7, 4, 76561198200000000n)
+  };
+  const { body, factory } = await processInvites(
+    { friends },
+    { targets: TARGETS, options: { dry_run: true, cleanup_policy: { decline_received: 2, clear_ignored: 1 } } }
+  );
+
+  const { plan } = body;
+  assert.equal(plan.capacity.cleanup_needed, 4);
+  assert.deepEqual(plan.policy_actions, {
+    accept_received: [],
+    decline_received: ['76561198300000000', '76561198300000001'],
+    clear_ignored: ['76561198400000000']
+  });
+  assert.deepEqual(plan.invites_to_cancel, ['76561198200000000']);
+  assert.equal(plan.projected_overall_slots, 250);
+  assert.deepEqual(factory.clients[0].calls.removeFriend, []);
+  assert.deepEqual(factory.clients[0].calls.unblockUser, []);
+});
+
+test('dry run with no weekly slots skips every target', async () => {
+  const { body } = await processInvites({}, {
+    account: { weekly_invite_slots: 0 },
+    options: { dry_run: true }
+  });
+
+  assert.equal(body.results.limitReached, true);
+  assert.equal(body.plan.targets_to_send.length, 0);
+  assert.ok(body.plan.targets_skipped.every(t => t.reason === 'weekly_limit'));
+});
+
+test('plan endpoint returns capacity without logging in', async () => {
+  const api = await startApp();
+  try {
+    const planned = await api.request('POST', '/api/steam/plan', {
+      account: { weekly_invite_slots: 8, overall_friend_slots: 248 },
+      requested_count: 20
+    });
+    const custom = await api.request('POST', '/api/steam/plan', {
+      account: { weekly_invite_slots: 30, overall_friend_slots: null },
+      requested_count: 5,
+      limits: { max_overall_slots: 200 }
+    });
+    const leveled = await api.request('POST', '/api/steam/plan', {
+      account: { weekly_invite_slots: 8, overall_friend_slots: 248, steam_level: 2 },
+      requested_count: 20
+    });
+    const invalid = await api.request('POST', '/api/steam/plan', { account: {} });
+
+    assert.equal(planned.status, 200);
+    assert.equal(planned.body.max_sendable, 8);
+    assert.equal(planned.body.cleanup_needed, 6);
+    assert.equal(planned.body.limiting_factor, 'weekly_slots');
+    assert.equal(planned.body.projected_overall_slots, 250);
+    assert.deepEqual(planned.body.limits, { max_overall_slots: 250 });
+
+    assert.equal(custom.body.limiting_factor, 'requested_count');
+    assert.equal(custom.body.projected_overall_slots, null);
+    assert.deepEqual(custom.body.limits, { max_overall_slots: 200 });
+
+    assert.equal(leveled.body.cleanup_needed, 0);
+    assert.deepEqual(leveled.body.limits, { max_overall_slots: 260 });
+
+    assert.equal(invalid.status, 400);
+    assert.equal(api.factory.clients.length, 0);
+  } finally {
+    await api.close();
+  }
+});
+
+test('friends endpoint returns the relationship breakdown with persona names', async () => {
+  const api = await startApp({
+    friends: {
+      '76561198000000201': 3,
+      '76561198000000202': 4,
+      '76561198000000203': 2,
+      '76561198000000204': 1,
+      '76561198000000205': 7
+    },
+    personaNames: { '76561198000000201': 'Alice', '76561198000000203': 'Bob' }
+  });
+  try {
+    const { credentials } = buildBody();
+    const response = await api.request('POST', '/api/steam/friends', { credentials });
+    const { body } = response;
+
+    assert.equal(body.success, true);
+    assert.deepEqual(body.counts, { confirmed: 1, invite_sent: 1, invite_received: 1, ignored: 1, unknown: 1 });
+    assert.deepEqual(body.friends.confirmed, [{ steam_id: '76561198000000201', relationship: 3, persona_name: 'Alice' }]);
+    assert.equal(body.friends.invite_received[0].persona_name, 'Bob');
+    assert.equal(body.friends.unknown[0].relationship, 7);
+    assert.equal(body.total_slots, 5);
+    assert.equal(body.account_updates.auth_method, 'password');
+    assert.deepEqual(api.factory.log, ['0:logOn', '0:logOff']);
+    assert.deepEqual(api.factory.clients[0].calls.addFriend, []);
+  } finally {
+    await api.close();
+  }
+});
+
+test('friends endpoint reports login failures and tolerates persona lookup errors', async () => {
+  const failed = await startApp({ logOn: { eresult: 5 } });
+  const noPersonas = await startApp({ friends: { '76561198000000201': 3 }, getPersonas: { fail: true } });
+  try {
+    const { credentials } = buildBody();
+    const login = await failed.request('POST', '/api/steam/friends', { credentials });
+    const snapshot = await noPersonas.request('POST', '/api/steam/friends', { credentials });
+
+    assert.equal(login.body.success, false);
+    assert.equal(login.body.login_error.category, 'invalid_credentials');
+    assert.equal(snapshot.body.success, true);
+    assert.equal(snapshot.body.friends.confirmed[0].persona_name, null);
+  } finally {
+    await failed.close();
+    await noPersonas.close();
+  }
+});
+
+test('cleanup endpoint frees slots by count or down to a target total', async () => {
+  const friends = { ...buildFriends(200, 3), ...buildFriends(10, 4, 76561198200000000n) };
+  const api = await startApp({ friends });
+  try {
+    const { credentials } = buildBody();
+    const byCount = await api.request('POST', '/api/steam/cleanup', {
+      credentials,
+      slots_to_free: 2,
+      oldest_pending_invites: ['76561198200000007']
+    });
+    const byTarget = await api.request('POST', '/api/steam/cleanup', { credentials, target_total_slots: 205 });
+    const nothing = await api.request('POST', '/api/steam/cleanup', { credentials, target_total_slots: 250 });
+
+    assert.equal(byCount.body.success, true);
+    assert.equal(byCount.body.slots_freed, 2);
+    assert.equal(byCount.body.canceled_steam_ids[0], '76561198200000007');
+    assert.equal(byCount.body.new_overall_slots, 208);
+
+    assert.equal(byTarget.body.previous_overall_slots, 210);
+    assert.equal(byTarget.body.slots_requested, 5);
+    assert.equal(byTarget.body.new_overall_slots, 205);
+
+    assert.equal(nothing.body.slots_requested, 0);
+    assert.deepEqual(nothing.body.canceled_steam_ids, []);
+    assert.equal(api.factory.clients[2].calls.removeFriend.length, 0);
+  } finally {
+    await api.close();
+  }
+});
+
+test('cleanup only counts removals confirmed by Steam', async () => {
+  const friends = { ...buildFriends(200, 3), ...buildFriends(10, 4, 76561198200000000n) };
+  const api = await startApp({
+    friends,
+    removeFriend: { unconfirmedFor: ['76561198200000001'], throwsFor: ['76561198200000002'] }
+  });
+  try {
+    const { credentials } = buildBody();
+    const { body } = await api.request('POST', '/api/steam/cleanup', {
+      credentials,
+      slots_to_free: 3,
+      oldest_pending_invites: ['76561198200000001', '76561198200000002', '76561198200000003']
+    });
+
+    assert.equal(body.success, true);
+    assert.equal(body.slots_freed, 1);
+    assert.deepEqual(body.canceled_steam_ids, ['76561198200000003']);
+    assert.deepEqual(body.unconfirmed_steam_ids, ['76561198200000001']);
+    assert.deepEqual(body.failed_steam_ids, ['76561198200000002']);
+    assert.equal(body.new_overall_slots, 209);
+  } finally {
+    await api.close();
+  }
+});
+
+test('cleanup policy reclaims received and ignored entries before cancelling sent invites', async () => {
+  const friends = {
+    ...buildFriends(236, 3),
+    ...buildFriends(5, 2, 76561198300000000n),
+    ...buildFriends(5, 1, 76561198400000000n),
+    ...buildFriends(4, 4, 76561198200000000n)
+  };
+  const { body, factory } = await processInvites(
+    { friends },
+    { targets: TARGETS, options: { cleanup_policy: { decline_received: 2, clear_ignored: 1 } } }
+  );
+  const { cleanup_breakdown: breakdown } = body.account_updates;
+
+  assert.equal(body.account_updates.slots_freed, 4);
+  assert.deepEqual(breakdown.invite_received.declined, ['76561198300000000', '76561198300000001']);
+  assert.equal(breakdown.invite_received.slots_freed, 2);
+  assert.deepEqual(breakdown.ignored.cleared, ['76561198400000000']);
+  assert.equal(breakdown.invite_sent.slots_freed, 1);
+  assert.deepEqual(factory.clients[0].calls.unblockUser, ['76561198400000000']);
+  assert.equal(body.results.successful.length, 4);
+});
+
+test('cleanup endpoint accepts received invites without counting them as freed', async () => {
+  const friends = {
+    ...buildFriends(200, 3),
+    ...buildFriends(3, 2, 76561198300000000n),
+    ...buildFriends(2, 5, 76561198400000000n),
+    ...buildFriends(1, 6, 76561198500000000n)
+  };
+  const api = await startApp({ friends, unblockUser: { failFor: ['76561198400000000'] } });
+  try {
+    const { credentials } = buildBody();
+    const { body } = await api.request('POST', '/api/steam/cleanup', {
+      credentials,
+      slots_to_free: 2,
+      cleanup_policy: { accept_received: 2, clear_ignored: 5 }
+    });
+    const conflicting = await api.request('POST', '/api/steam/cleanup', {
+      credentials,
+      slots_to_free: 1,
+      cleanup_policy: { accept_received: 1, decline_received: 1 }
+    });
+
+    assert.equal(body.success, true);
+    assert.deepEqual(body.breakdown.invite_received.accepted, ['76561198300000000', '76561198300000001']);
+    assert.equal(body.breakdown.invite_received.slots_freed, 0);
+    assert.deepEqual(body.breakdown.ignored.failed, ['76561198400000000']);
+    assert.deepEqual(body.breakdown.ignored.cleared, ['76561198400000001']);
+    assert.equal(body.slots_freed, 1);
+    assert.equal(body.new_overall_slots, 205);
+    assert.equal(conflicting.status, 400);
+  } finally {
+    await api.close();
+  }
+});
+
+test('sent invites are recorded in the ledger and queryable per account', async () => {
+  const api = await startApp({ friends: buildFriends(2, 4, 76561198200000000n) }, { ledger: {} });
+  try {
+    await api.request('POST', '/api/steam/process-invites', buildBody());
+    const ledger = await api.request('GET', '/api/steam/ledger/test_account');
+
+    assert.equal(ledger.status, 200);
+    assert.equal(ledger.body.count, 3);
+    assert.deepEqual(ledger.body.invites.map(entry => entry.steam_id).sort(), [
+      '76561198000000101',
+      '76561198000000102',
+      '76561198000000103'
+    ]);
+  } finally {
+    await api.close();
+  }
+});
@@ -0,0 +1,85 @@
+// steam_worker/test/schema_validator.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validate } = require('../src/schema_validator');
+const { processInvitesSchema, cleanupSchema } = require('../src/request_schemas');
+const { buildBody } = require('./helpers');
+
+test('valid process-invites body has no violations', () => {
+  assert.deepEqual(validate(processInvitesSchema, buildBody()), { valid: true, violations: [] });
+});
+
+test('every violation is reported with its path', () => {
+  const body = buildBody({
+    account: { weekly_invite_slots: '30' },
+    targets: [{ slug: '76561198000000101' }, {}, { slug: '' }],
+    options: { delay_between_invites_ms: -1, oldest_pending_invites: [123] }
+  });
+  delete body.credentials.password;
+
+  const { valid, violations } = validate(processInvitesSchema, body);
+
+  assert.equal(valid, false);
+  assert.deepEqual(violations.map(v => v.path).sort(), [
+    '$.account.weekly_invite_slots',
+    '$.credentials',
+    '$.options.delay_between_invites_ms',
+    '$.options.oldest_pending_invites[0]',
+    '$.targets[1].slug',
+    '$.targets[2].slug'
+  ]);
+});
+
+test('missing sections and empty targets', () => {
+  const { violations } = validate(processInvitesSchema, { targets: [] });
+
+  assert.deepEqual(violations.map(v => v.path), ['$.account', '$.credentials', '$.targets', '$.options']);
+});
+
+test('credentials need a refresh token or password + shared secret', () => {
+  const tokenOnly = buildBody({ credentials: { refreshToken: 'token' } });
+  delete tokenOnly.credentials.password;
+  delete tokenOnly.credentials.sharedSecret;
+
+  const passwordOnly = buildBody();
+  delete passwordOnly.credentials.sharedSecret;
+
+  assert.equal(validate(processInvitesSchema, tokenOnly).valid, true);
+  assert.deepEqual(validate(processInvitesSchema, passwordOnly).violations, [
+    { path: '$.credentials', message: 'requires refreshToken or password + sharedSecret' }
+  ]);
+});
+
+test('overall_friend_slots accepts null', () => {
+  const { valid } = validate(processInvitesSchema, buildBody({ account: { overall_friend_slots: null } }));
+
+  assert.equal(valid, true);
+});
+
+test('unknown field policies', () => {
+  const body = () => ({ ...buildBody(), extra: 1, options: { delay_between_invites_ms: 1, legacy: true } });
+
+  assert.equal(validate(processInvitesSchema, body(), { unknownFields: 'allow' }).valid, true);
+
+  const rejected = validate(processInvitesSchema, body(), { unknownFields: 'reject' });
+  assert.deepEqual(rejected.violations.map(v => v.path), ['$.options.legacy', '$.extra']);
+
+  const stripped = body();
+  assert.equal(validate(processInvitesSchema, stripped, { unknownFields: 'strip' }).valid, true);
+  assert.equal('extra' in stripped, false);
+  assert.equal('legacy' in stripped.options, false);
+});
+
+test('cleanup accepts slots_to_free or target_total_slots, not both', () => {
+  const { credentials } = buildBody();
+
+  assert.equal(validate(cleanupSchema, { credentials, slots_to_free: 5 }).valid, true);
+  assert.equal(validate(cleanupSchema, { credentials, target_total_slots: 200 }).valid, true);
+  assert.deepEqual(validate(cleanupSchema, { credentials }).violations, [
+    { path: '$', message: 'requires slots_to_free or target_total_slots' }
+  ]);
+  assert.deepEqual(validate(cleanupSchema, { credentials, slots_to_free: 5, target_total_slots: 200 }).violations, [
+    { path: '$', message: 'accepts only one of slots_to_free, target_total_slots' }
+  ]);
+});
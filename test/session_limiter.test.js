@@ -0,0 +1,83 @@
+// steam_worker/test/session_limiter.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SessionLimiter = require('../src/session_limiter');
+const { silentLogger } = require('./helpers');
+
+test('queue mode serializes batches of the same account', async () => {
+  const limiter = new SessionLimiter(silentLogger, { accountLockMode: 'queue' });
+  const first = limiter.admit('Account').ticket;
+  const second = limiter.admit('account').ticket;
+
+  assert.equal(await first.acquire(), true);
+
+  let secondAcquired = false;
+  const waiting = second.acquire().then((acquired) => {
+    secondAcquired = acquired;
+  });
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(secondAcquired, false);
+  assert.deepEqual(limiter.getStats(), { running: 1, queued: 1, max_sessions: 10, account_lock_mode: 'queue' });
+
+  first.release();
+  await waiting;
+  assert.equal(secondAcquired, true);
+
+  second.release();
+  assert.equal(limiter.getStats().running, 0);
+  assert.equal(limiter.accounts.size, 0);
+});
+
+test('reject mode refuses a busy account with 409', () => {
+  const limiter = new SessionLimiter(silentLogger, { accountLockMode: 'reject' });
+  limiter.admit('account');
+
+  const refused = limiter.admit('ACCOUNT');
+
+  assert.equal(refused.admitted, false);
+  assert.equal(refused.status, 409);
+  assert.equal(limiter.admit('other').admitted, true);
+});
+
+test('session cap refuses with 429 and a retry hint', () => {
+  const limiter = new SessionLimiter(silentLogger, { maxSessions: 2, retryAfterSeconds: 15 });
+  const first = limiter.admit('a').ticket;
+  limiter.admit('b');
+
+  const refused = limiter.admit('c');
+  assert.equal(refused.status, 429);
+  assert.equal(refused.retryAfterSeconds, 15);
+
+  first.release();
+  first.release();
+  assert.equal(limiter.admit('c').admitted, true);
+});
+
+test('an explicit cap of 0 admits nothing', () => {
+  const limiter = new SessionLimiter(silentLogger, { maxSessions: 0 });
+
+  assert.equal(limiter.maxSessions, 0);
+  assert.equal(limiter.admit('account').status, 429);
+});
+
+test('aborting while queued gives up the turn', async () => {
+  const limiter = new SessionLimiter(silentLogger);
+  const first = limiter.admit('account').ticket;
+  const second = limiter.admit('account').ticket;
+  const controller = new AbortController();
+
+  await first.acquire();
+  const waiting = second.acquire(controller.signal);
+  controller.abort();
+
+  assert.equal(await waiting, false);
+  second.release();
+  assert.equal(limiter.getStats().queued, 0);
+  first.release();
+  assert.equal(limiter.admitted, 0);
+});
+
+test('invalid lock mode is rejected', () => {
+  assert.throws(() => new SessionLimiter(silentLogger, { accountLockMode: 'wait' }), /Invalid account lock mode/);
+});
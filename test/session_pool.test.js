@@ -0,0 +1,136 @@
+// steam_worker/test/session_pool.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SessionPool = require('../src/session_pool');
+const FakeSteamUser = require('../src/fake_steam_user');
+const { silentLogger } = require('./helpers');
+
+const CREDENTIALS = { username: 'account', password: 'hunter2', sharedSecret: 'secret' };
+
+/**
+ * Create a fake client that is already logged on
+ */
+async function loggedOnClient() {
+  const client = new FakeSteamUser();
+  client.logOn({});
+  await new Promise(resolve => client.once('loggedOn', resolve));
+  return client;
+}
+
+test('checked in sessions are reused for the same credentials', async () => {
+  const pool = new SessionPool(silentLogger, { idleTtlMs: 1000 });
+  const client = await loggedOnClient();
+  const fingerprint = SessionPool.fingerprint(CREDENTIALS);
+
+  pool.checkin('Account', fingerprint, client, '76561198000000001');
+  const session = pool.checkout('account', fingerprint);
+
+  assert.equal(session.client, client);
+  assert.equal(session.steamId, '76561198000000001');
+  assert.equal(pool.checkout('account', fingerprint), null);
+  assert.equal(pool.list()[0].state, 'in_use');
+
+  pool.closeAll();
+  client.destroy();
+});
+
+test('changed credentials evict the pooled session', async () => {
+  const pool = new SessionPool(silentLogger, { idleTtlMs: 1000 });
+  const client = await loggedOnClient();
+
+  pool.checkin('account', SessionPool.fingerprint(CREDENTIALS), client, '76561198000000001');
+  const session = pool.checkout('account', SessionPool.fingerprint({ ...CREDENTIALS, password: 'changed' }));
+
+  assert.equal(session, null);
+  assert.equal(pool.list().length, 0);
+  assert.equal(client.calls.logOff, 1);
+  client.destroy();
+});
+
+test('sessions are evicted on disconnect and after the idle TTL', async () => {
+  const pool = new SessionPool(silentLogger, { idleTtlMs: 30 });
+  const dropped = await loggedOnClient();
+  const idle = await loggedOnClient();
+  const fingerprint = SessionPool.fingerprint(CREDENTIALS);
+
+  pool.checkin('dropped', fingerprint, dropped, '76561198000000001');
+  pool.checkin('idle', fingerprint, idle, '76561198000000002');
+
+  assert.equal(dropped.options.autoRelogin, false);
+  dropped.simulateDisconnect();
+  assert.deepEqual(pool.list().map(session => session.username), ['idle']);
+
+  // Logged off once steam-user is done with the drop, and late errors are swallowed
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(dropped.calls.logOff, 1);
+  assert.doesNotThrow(() => dropped.emit('error', new Error('late')));
+
+  await new Promise(resolve => setTimeout(resolve, 60));
+  assert.equal(pool.list().length, 0);
+  assert.equal(idle.calls.logOff, 1);
+  idle.destroy();
+});
+
+test('closing a session in use defers until check in', async () => {
+  const pool = new SessionPool(silentLogger, { idleTtlMs: 1000 });
+  const client = await loggedOnClient();
+  const fingerprint = SessionPool.fingerprint(CREDENTIALS);
+
+  pool.checkin('account', fingerprint, client, '76561198000000001');
+  pool.checkout('account', fingerprint);
+
+  assert.equal(pool.close('account'), 'closing');
+  assert.equal(client.calls.logOff, 0);
+
+  pool.checkin('account', fingerprint, client, '76561198000000001');
+  assert.equal(pool.list().length, 0);
+  assert.equal(client.calls.logOff, 1);
+  assert.equal(pool.close('account'), null);
+  client.destroy();
+});
+
+test('a full pool logs off the least recently used idle session', async () => {
+  const pool = new SessionPool(silentLogger, { idleTtlMs: 1000, maxSize: 2 });
+  const [first, second, third] = await Promise.all([loggedOnClient(), loggedOnClient(), loggedOnClient()]);
+  const fingerprint = SessionPool.fingerprint(CREDENTIALS);
+
+  pool.checkin('first', fingerprint, first, '76561198000000001');
+  pool.checkin('second', fingerprint, second, '76561198000000002');
+  pool.checkout('first', fingerprint);
+  pool.checkin('first', fingerprint, first, '76561198000000001');
+  pool.checkin('third', fingerprint, third, '76561198000000003');
+
+  assert.deepEqual(pool.list().map(session => session.username), ['first', 'third']);
+  assert.equal(second.calls.logOff, 1);
+
+  // Sessions in use are kept, the incoming idle one is dropped instead
+  pool.checkout('first', fingerprint);
+  pool.checkout('third', fingerprint);
+  pool.checkin('second', fingerprint, second, '76561198000000002');
+  assert.deepEqual(pool.list().map(session => session.username), ['first', 'third']);
+
+  pool.closeAll();
+  pool.checkin('first', fingerprint, first, '76561198000000001');
+  pool.checkin('third', fingerprint, third, '76561198000000003');
+  [first, second, third].forEach(client => client.destroy());
+});
+
+test('a session dropped while in use keeps its connector listeners', async () => {
+  const pool = new SessionPool(silentLogger, { idleTtlMs: 1000 });
+  const client = await loggedOnClient();
+  const fingerprint = SessionPool.fingerprint(CREDENTIALS);
+  const connectorListener = () => {};
+
+  pool.checkin('account', fingerprint, client, '76561198000000001');
+  pool.checkout('account', fingerprint);
+  client.on('disconnected', connectorListener);
+
+  client.simulateDisconnect();
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.equal(pool.list().length, 0);
+  assert.ok(client.listeners('disconnected').includes(connectorListener));
+  assert.equal(client.calls.logOff, 0);
+  client.destroy();
+});
@@ -0,0 +1,261 @@
+// steam_worker/test/steam_connector.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SteamConnector = require('../src/steam_connector');
+const FakeSteamUser = require('../src/fake_steam_user');
+const TotpRegistry = require('../src/totp_registry');
+const { silentLogger, acceptingTotpRegistry } = require('./helpers');
+
+const credentials = {
+  username: 'test_account',
+  password: 'hunter2',
+  sharedSecret: 'c2hhcmVkLXNlY3JldC0xMjM0NQ=='
+};
+
+const createConnector = (scenario, options = {}) => new SteamConnector(silentLogger, {
+  clientFactory: FakeSteamUser.createFactory(scenario),
+  totpRegistry: acceptingTotpRegistry(),
+  ...options,
+  connectionTimeoutMs: 200,
+  loginRetryDelayMs: 0,
+  inviteTimeoutMs: 50,
+  verificationDelayMs: 0,
+  friendsListWaitMs: 0
+});
+
+test('mapSteamErrorToResult: known eresults', () => {
+  const connector = new SteamConnector(silentLogger);
+  const expected = {
+    14: ['definitive', false],
+    15: ['temporary', false],
+    17: ['definitive', false],
+    25: ['temporary', true],
+    29: ['temporary', false],
+    40: ['definitive', false],
+    84: ['temporary', true]
+  };
+
+  for (const [code, [errorType, limitReached]] of Object.entries(expected)) {
+    const err = new Error('x');
+    err.eresult = Number(code);
+    const result = connector.mapSteamErrorToResult(err, '1');
+
+    assert.equal(result.success, false);
+    assert.equal(result.eresult, Number(code));
+    assert.equal(result.errorType, errorType, `eresult ${code}`);
+    assert.equal(result.limitReached, limitReached, `eresult ${code}`);
+  }
+});
+
+test('mapSteamErrorToResult: unknown eresult keeps the Steam message', () => {
+  const connector = new SteamConnector(silentLogger);
+  const err = new Error('Something odd');
+  err.eresult = 2;
+
+  const result = connector.mapSteamErrorToResult(err, '1');
+
+  assert.equal(result.error, 'Something odd');
+  assert.equal(result.errorType, 'temporary');
+  assert.equal(result.limitReached, false);
+});
+
+test('connect: logon error is classified and not retried', async () => {
+  const connector = createConnector({ logOn: { eresult: 5, message: 'InvalidPassword' } });
+
+  const result = await connector.connect(credentials);
+
+  assert.equal(result.success, false);
+  assert.equal(result.error, 'InvalidPassword');
+  assert.equal(result.attempts, 1);
+  assert.equal(result.loginError.category, 'invalid_credentials');
+  assert.equal(result.loginError.action, 'disable_account');
+  await connector.disconnect();
+});
+
+test('connect: logon without response times out after bounded retries', async () => {
+  const connector = createConnector({ logOn: { never: true } }, { maxLoginRetries: 1 });
+
+  const result = await connector.connect(credentials);
+
+  assert.equal(result.success, false);
+  assert.equal(result.error, 'Connection timeout');
+  assert.equal(result.attempts, 2);
+  assert.equal(result.loginError.category, 'network');
+  await connector.disconnect();
+});
+
+test('connect: transient failure is retried until success', async () => {
+  const connector = createConnector({ logOn: { sequence: [20, 1] } });
+
+  const result = await connector.connect(credentials);
+
+  assert.equal(result.success, true);
+  assert.equal(result.attempts, 2);
+  await connector.disconnect();
+});
+
+test('connect: refresh token is used instead of password', async () => {
+  const connector = createConnector({ refreshToken: { valid: 'good-token', issue: 'new-token' } });
+
+  const result = await connector.connect({ username: 'test_account', refreshToken: 'good-token' });
+  const { logOn } = connector.client.calls;
+
+  assert.equal(result.success, true);
+  assert.equal(result.authMethod, 'refresh_token');
+  assert.equal(logOn.length, 1);
+  assert.equal(logOn[0].refreshToken, 'good-token');
+  assert.equal(logOn[0].password, undefined);
+  assert.equal(await connector.waitForIssuedRefreshToken(), null);
+  await connector.disconnect();
+});
+
+test('waitForIssuedRefreshToken: waits a bounded time for the loginKey of a password logon', async () => {
+  const issued = createConnector({ refreshToken: { issue: 'new-token', issueAfterMs: 20 } }, { refreshTokenWaitMs: 1000 });
+  const missing = createConnector({}, { refreshTokenWaitMs: 30 });
+
+  await issued.connect(credentials);
+  await missing.connect(credentials);
+
+  assert.equal(issued.client.calls.logOn[0].rememberPassword, true);
+  assert.equal(await issued.waitForIssuedRefreshToken(), 'new-token');
+  assert.equal(await missing.waitForIssuedRefreshToken(), null);
+  await issued.disconnect();
+  await missing.disconnect();
+});
+
+test('waitForIssuedRefreshToken: the wait runs from logon and stops when the request is aborted', async () => {
+  const overlapped = createConnector({ refreshToken: { issue: 'new-token', issueAfterMs: 20 } }, { refreshTokenWaitMs: 60000 });
+  const aborted = createConnector({}, { refreshTokenWaitMs: 60000 });
+  const alreadyAborted = createConnector({}, { refreshTokenWaitMs: 60000 });
+
+  await overlapped.connect(credentials);
+  await aborted.connect(credentials);
+  await alreadyAborted.connect(credentials);
+
+  // The token arrived while the session was busy: no wait left
+  await new Promise(resolve => setTimeout(resolve, 40));
+  let started = Date.now();
+  assert.equal(await overlapped.waitForIssuedRefreshToken(), 'new-token');
+  assert.ok(Date.now() - started < 20);
+
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(), 20);
+  started = Date.now();
+  assert.equal(await aborted.waitForIssuedRefreshToken(controller.signal), null);
+  assert.ok(Date.now() - started < 5000);
+
+  started = Date.now();
+  assert.equal(await alreadyAborted.waitForIssuedRefreshToken(AbortSignal.abort()), null);
+  assert.ok(Date.now() - started < 20);
+
+  for (const connector of [overlapped, aborted, alreadyAborted]) {
+    await connector.disconnect();
+  }
+});
+
+test('connect: rejected refresh token falls back to password + TOTP', async () => {
+  const factory = FakeSteamUser.createFactory({ refreshToken: { valid: 'good-token' } });
+  const connector = new SteamConnector(silentLogger, {
+    clientFactory: factory,
+    totpRegistry: acceptingTotpRegistry(),
+    friendsListWaitMs: 0
+  });
+
+  const result = await connector.connect({ ...credentials, refreshToken: 'expired-token' });
+
+  assert.equal(result.success, true);
+  assert.equal(result.authMethod, 'password');
+  assert.equal(factory.clients.length, 2);
+  assert.equal(factory.clients[1].calls.logOn[0].accountName, 'test_account');
+  assert.equal(connector.issuedRefreshToken, null);
+  await connector.disconnect();
+});
+
+test('connect: rejected refresh token without password fails', async () => {
+  const connector = createConnector({ refreshToken: { valid: 'good-token' } });
+
+  const result = await connector.connect({ username: 'test_account', refreshToken: 'expired-token' });
+
+  assert.equal(result.success, false);
+  assert.equal(result.authMethod, 'refresh_token');
+  await connector.disconnect();
+});
+
+test('connect: a 2FA code is never reused across connectors', async () => {
+  const totpRegistry = new TotpRegistry();
+  const first = createConnector({}, { totpRegistry });
+  const second = createConnector({}, { totpRegistry, maxTotpWaitMs: 0 });
+
+  const firstResult = await first.connect(credentials);
+  const secondResult = await second.connect(credentials);
+
+  assert.equal(firstResult.success, true);
+  assert.equal(secondResult.success, false);
+  assert.match(secondResult.error, /2FA code already used/);
+  await first.disconnect();
+  await second.disconnect();
+});
+
+test('connect: waits for the next 2FA window when the code was used', async () => {
+  let attempts = 0;
+  const totpRegistry = {
+    consume: () => ++attempts > 1,
+    msUntilNextWindow: () => 0
+  };
+  const connector = createConnector({}, { totpRegistry });
+  connector.generateAndTrackFresh2FACode = () => `code-${attempts}`;
+
+  const result = await connector.connect(credentials);
+
+  assert.equal(result.success, true);
+  assert.equal(attempts, 2);
+  await connector.disconnect();
+});
+
+test('addFriend: timeout is verified against the friends list', async () => {
+  const connector = createConnector({ addFriend: { never: true }, friends: { '76561198000000002': 3 } });
+  await connector.connect(credentials);
+
+  const notSent = await connector.addFriend('76561198000000001');
+  const alreadyFriends = await connector.addFriend('76561198000000002');
+
+  assert.equal(notSent.success, false);
+  assert.equal(notSent.eresult, 29);
+  assert.equal(alreadyFriends.eresult, 14);
+  await connector.disconnect();
+});
+
+test('getFriendsList: relationships are grouped by type', async () => {
+  const connector = createConnector({ friends: { a: 3, b: 4, c: 2, d: 1, e: 5, f: 6, g: 7 } });
+  await connector.connect(credentials);
+
+  const list = await connector.getFriendsList();
+
+  assert.equal(list.totalFriends, 7);
+  assert.deepEqual(list.confirmedFriends.map(f => f.steamId), ['a']);
+  assert.deepEqual(list.pendingInvites.map(f => f.steamId), ['b']);
+  assert.deepEqual(list.receivedInvites.map(f => f.steamId), ['c']);
+  assert.deepEqual(list.ignoredUsers.map(f => f.steamId), ['d', 'e', 'f']);
+  assert.equal(list.allFriends.find(f => f.steamId === 'g').relationshipType, 'unknown');
+  await connector.disconnect();
+});
+
+test('cancelFriendInvite: removals are confirmed, unconfirmed or failed', async () => {
+  const connector = createConnector({
+    friends: { '76561198000000001': 4, '76561198000000002': 4, '76561198000000003': 4 },
+    removeFriend: { unconfirmedFor: ['76561198000000002'], throwsFor: ['76561198000000003'] }
+  }, { cancelConfirmTimeoutMs: 30 });
+  await connector.connect(credentials);
+
+  const confirmed = await connector.cancelFriendInvite('76561198000000001');
+  const unconfirmed = await connector.cancelFriendInvite('76561198000000002');
+  const failed = await connector.cancelFriendInvite('76561198000000003');
+
+  assert.deepEqual([confirmed.success, confirmed.confirmed], [true, true]);
+  assert.deepEqual([unconfirmed.success, unconfirmed.confirmed], [true, false]);
+  assert.equal(unconfirmed.error, 'Removal not confirmed by Steam');
+  assert.deepEqual([failed.success, failed.confirmed], [false, false]);
+  assert.equal(connector.client.listenerCount('friendRelationship'), 0);
+  await connector.disconnect();
+});
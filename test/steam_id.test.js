@@ -0,0 +1,32 @@
+// steam_worker/test/steam_id.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeSteamId } = require('../src/steam_id');
+
+test('normalizeSteamId: supported formats', () => {
+  const cases = {
+    '76561198000000101': '76561198000000101',
+    ' 76561198000000101 ': '76561198000000101',
+    'STEAM_0:1:19867186': '76561198000000101',
+    'STEAM_1:0:19867187': '76561198000000102',
+    '[U:1:39734373]': '76561198000000101',
+    'https://steamcommunity.com/profiles/76561198000000101': '76561198000000101',
+    'http://www.steamcommunity.com/profiles/76561198000000101/': '76561198000000101',
+    'steamcommunity.com/profiles/[U:1:39734373]': '76561198000000101'
+  };
+
+  for (const [input, expected] of Object.entries(cases)) {
+    assert.deepEqual(normalizeSteamId(input), { valid: true, steamId64: expected }, input);
+  }
+});
+
+test('normalizeSteamId: invalid input has a reason', () => {
+  for (const input of ['', 'abc', '12345', '76561197960265728', '99999999999999999', '[G:1:4]',
+    'https://steamcommunity.com/id/somebody', 'steamcommunity.com/profiles/%E0%A4%A', 76561198000000101]) {
+    const result = normalizeSteamId(input);
+
+    assert.equal(result.valid, false, String(input));
+    assert.equal(typeof result.reason, 'string');
+  }
+});
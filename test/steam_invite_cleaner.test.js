@@ -0,0 +1,91 @@
+// steam_worker/test/steam_invite_cleaner.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SteamInviteCleaner = require('../src/steam_invite_cleaner');
+const InviteLedger = require('../src/invite_ledger');
+const { silentLogger } = require('./helpers');
+
+const cleaner = new SteamInviteCleaner(silentLogger);
+
+const pending = (...ids) => ids.map(steamId => ({ steamId, relationship: 4, relationshipType: 'invite_sent' }));
+
+test('selectInvitesToCancel: nothing pending on Steam', () => {
+  assert.deepEqual(cleaner.selectInvitesToCancel([], 5, ['a']), []);
+});
+
+test('selectInvitesToCancel: DB priority order wins over Steam order', () => {
+  const selected = cleaner.selectInvitesToCancel(pending('a', 'b', 'c', 'd'), 2, ['d', 'c']);
+
+  assert.deepEqual(selected, ['d', 'c']);
+});
+
+test('selectInvitesToCancel: DB IDs not pending on Steam are skipped', () => {
+  const selected = cleaner.selectInvitesToCancel(pending('a', 'b', 'c'), 2, ['x', 'c', 'y']);
+
+  assert.deepEqual(selected, ['c', 'a']);
+});
+
+test('selectInvitesToCancel: duplicated DB IDs are cancelled once', () => {
+  const selected = cleaner.selectInvitesToCancel(pending('a', 'b', 'c'), 3, ['b', 'b', 'b']);
+
+  assert.deepEqual(selected, ['b', 'a', 'c']);
+});
+
+test('selectInvitesToCancel: falls back to remaining pending invites', () => {
+  const selected = cleaner.selectInvitesToCancel(pending('a', 'b', 'c'), 2);
+
+  assert.deepEqual(selected, ['a', 'b']);
+});
+
+test('selectInvitesToCancel: ledger orders the fallback oldest first', () => {
+  const ledger = new InviteLedger(silentLogger);
+  ledger.recordSent('account', 'a', new Date('2024-03-03T00:00:00Z'));
+  ledger.recordSent('account', 'b', new Date('2024-03-01T00:00:00Z'));
+  ledger.recordSent('account', 'c', new Date('2024-03-02T00:00:00Z'));
+  const ledgerCleaner = new SteamInviteCleaner(silentLogger, { inviteLedger: ledger });
+
+  assert.deepEqual(ledgerCleaner.selectInvitesToCancel(pending('a', 'b', 'c', 'd'), 3, [], 'account'), ['d', 'b', 'c']);
+  assert.deepEqual(ledgerCleaner.selectInvitesToCancel(pending('a', 'b', 'c'), 2, ['a'], 'account'), ['a', 'b']);
+});
+
+test('selectInvitesToCancel: never selects more than is pending', () => {
+  const selected = cleaner.selectInvitesToCancel(pending('a', 'b'), 10, ['b']);
+
+  assert.deepEqual(selected, ['b', 'a']);
+});
+
+test('cleanupOldInvites: a cleanup cancelled before any removal reports cancelled', async () => {
+  const controller = new AbortController();
+  const removed = [];
+  const connector = {
+    getFriendsList: async () => ({
+      success: true,
+      confirmedFriends: [],
+      pendingInvites: pending('a', 'b'),
+      receivedInvites: [],
+      ignoredUsers: [],
+      totalFriends: 2
+    }),
+    cancelFriendInvite: async (steamId) => {
+      removed.push(steamId);
+      return { success: true, confirmed: true };
+    }
+  };
+  const cancelling = new SteamInviteCleaner(silentLogger, {
+    cancelDelayMs: 0,
+    onEvent: (event) => {
+      if (event.type === 'cleanup_planned') {
+        controller.abort();
+      }
+    }
+  });
+
+  const result = await cancelling.cleanupOldInvites(connector, 2, [], { signal: controller.signal });
+
+  assert.equal(result.success, true);
+  assert.equal(result.cancelled, true);
+  assert.equal(result.slots_freed, 0);
+  assert.deepEqual(removed, []);
+  assert.deepEqual(result.breakdown.invite_sent, { cancelled: [], unconfirmed: [], failed: [], slots_freed: 0 });
+});
@@ -0,0 +1,34 @@
+// steam_worker/test/totp_registry.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const TotpRegistry = require('../src/totp_registry');
+
+test('a code can be consumed once per account', () => {
+  const registry = new TotpRegistry();
+
+  assert.equal(registry.consume('Account', 'ABCDE'), true);
+  assert.equal(registry.consume('account', 'ABCDE'), false);
+  assert.equal(registry.consume('other', 'ABCDE'), true);
+  assert.equal(registry.isConsumed('ACCOUNT', 'ABCDE'), true);
+});
+
+test('consumed codes are forgotten after the retention window', () => {
+  let now = 1000000;
+  const registry = new TotpRegistry({ now: () => now, retentionMs: 60000 });
+
+  registry.consume('account', 'ABCDE');
+  now += 60001;
+
+  assert.equal(registry.isConsumed('account', 'ABCDE'), false);
+  assert.equal(registry.consume('account', 'ABCDE'), true);
+});
+
+test('msUntilNextWindow is aligned on 30 s boundaries', () => {
+  let now = 90000 + 12000;
+  const registry = new TotpRegistry({ now: () => now });
+
+  assert.equal(registry.msUntilNextWindow(), 18000);
+  now = 120000;
+  assert.equal(registry.msUntilNextWindow(), 30000);
+});
@@ -0,0 +1,164 @@
+// steam_worker/test/worker_logic.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const WorkerLogic = require('../src/worker_logic');
+const { silentLogger } = require('./helpers');
+
+const worker = new WorkerLogic(silentLogger);
+
+test('calculateAccountCapacity: no weekly slots means nothing can be sent', () => {
+  const capacity = worker.calculateAccountCapacity({ weekly_invite_slots: 0, overall_friend_slots: 10 }, 5);
+
+  assert.equal(capacity.can_send, false);
+  assert.equal(capacity.max_sendable, 0);
+  assert.equal(capacity.weekly_limited, true);
+});
+
+test('calculateAccountCapacity: missing weekly slots are treated as zero', () => {
+  const capacity = worker.calculateAccountCapacity({ overall_friend_slots: 10 }, 5);
+
+  assert.equal(capacity.can_send, false);
+});
+
+test('calculateAccountCapacity: null overall slots skips cleanup', () => {
+  const capacity = worker.calculateAccountCapacity({ weekly_invite_slots: 3, overall_friend_slots: null }, 10);
+
+  assert.equal(capacity.can_send, true);
+  assert.equal(capacity.max_sendable, 3);
+  assert.equal(capacity.needs_cleanup, false);
+  assert.equal(capacity.cleanup_needed, 0);
+});
+
+test('calculateAccountCapacity: weekly slots cap the batch', () => {
+  const capacity = worker.calculateAccountCapacity({ weekly_invite_slots: 5, overall_friend_slots: 100 }, 30);
+
+  assert.equal(capacity.max_sendable, 5);
+  assert.equal(capacity.weekly_limited, true);
+  assert.equal(capacity.needs_cleanup, false);
+});
+
+test('calculateAccountCapacity: filling exactly to 250 needs no cleanup', () => {
+  const capacity = worker.calculateAccountCapacity({ weekly_invite_slots: 30, overall_friend_slots: 240 }, 10);
+
+  assert.equal(capacity.max_sendable, 10);
+  assert.equal(capacity.needs_cleanup, false);
+  assert.equal(capacity.overall_limited, false);
+});
+
+test('calculateAccountCapacity: one slot over 250 needs one cleanup', () => {
+  const capacity = worker.calculateAccountCapacity({ weekly_invite_slots: 30, overall_friend_slots: 241 }, 10);
+
+  assert.equal(capacity.max_sendable, 10);
+  assert.equal(capacity.needs_cleanup, true);
+  assert.equal(capacity.cleanup_needed, 1);
+  assert.equal(capacity.overall_limited, true);
+});
+
+test('calculateAccountCapacity: full account needs cleanup for the whole batch', () => {
+  const capacity = worker.calculateAccountCapacity({ weekly_invite_slots: 30, overall_friend_slots: 250 }, 30);
+
+  assert.equal(capacity.cleanup_needed, 30);
+});
+
+test('calculateAccountCapacity: the overall ceiling can be overridden', () => {
+  const capacity = worker.calculateAccountCapacity(
+    { weekly_invite_slots: 30, overall_friend_slots: 195 },
+    10,
+    { max_overall_slots: 200 }
+  );
+
+  assert.equal(capacity.cleanup_needed, 5);
+  assert.equal(capacity.limiting_factor, 'requested_count');
+});
+
+test('classifyError: definitive and temporary eresults', () => {
+  for (const code of [14, 17, 40]) {
+    assert.equal(worker.classifyError(code), 'definitive', `eresult ${code}`);
+  }
+  for (const code of [15, 25, 29, 84]) {
+    assert.equal(worker.classifyError(code), 'temporary', `eresult ${code}`);
+  }
+});
+
+test('classifyError: unknown eresults default to temporary', () => {
+  assert.equal(worker.classifyError(2), 'temporary');
+  assert.equal(worker.classifyError(null), 'temporary');
+});
+
+test('extractErrorCodes: unique, non-null codes', () => {
+  const codes = worker.extractErrorCodes([
+    { errorCode: 15 },
+    { errorCode: 15 },
+    { errorCode: null },
+    { errorCode: 29 },
+    {}
+  ]);
+
+  assert.deepEqual(codes, [15, 29]);
+});
+
+test('sendInvitesWithEarlyDetection: exceptions are retried within the batch budget', async () => {
+  const retrying = new WorkerLogic(silentLogger);
+  const calls = [];
+  retrying.steamConnector.addFriend = async (steamId) => {
+    calls.push(steamId);
+    if (steamId === '2') {
+      throw new Error('socket closed');
+    }
+    return { success: true, eresult: 1 };
+  };
+
+  const targets = ['1', '2', '3'].map(id => ({ slug: `t${id}`, steamId64: id }));
+  const results = await retrying.sendInvitesWithEarlyDetection(
+    targets, 0, null, null, undefined,
+    { max_attempts: 3, backoff_ms: 0, backoff_multiplier: 2, max_retries: 1 }
+  );
+
+  assert.deepEqual(results.successful, ['t1', 't3']);
+  assert.deepEqual(calls, ['1', '2', '2', '3']);
+  assert.equal(results.retriesUsed, 1);
+  assert.equal(results.failed[0].attempts, 2);
+  assert.deepEqual(results.attemptHistory.t2.map(a => [a.attempt, a.success, a.error]), [
+    [1, false, 'socket closed'],
+    [2, false, 'socket closed']
+  ]);
+});
+
+test('sendInvitesWithEarlyDetection: a target cancelled during its retry backoff is not attempted', async () => {
+  const retrying = new WorkerLogic(silentLogger);
+  const controller = new AbortController();
+  const events = [];
+  retrying.onEvent = (event) => events.push(event);
+  retrying.steamConnector.addFriend = async (steamId) => {
+    if (steamId === '1') {
+      setTimeout(() => controller.abort(), 10);
+      throw new Error('socket closed');
+    }
+    return { success: true, eresult: 1 };
+  };
+
+  const targets = ['1', '2'].map(id => ({ slug: `t${id}`, steamId64: id }));
+  const started = Date.now();
+  const results = await retrying.sendInvitesWithEarlyDetection(
+    targets, 0, controller.signal, null, undefined,
+    { max_attempts: 3, backoff_ms: 60000, backoff_multiplier: 1, max_retries: 5 }
+  );
+
+  assert.ok(Date.now() - started < 5000);
+  assert.deepEqual(results.failed, []);
+  assert.deepEqual(results.temporaryFailures, ['t1', 't2']);
+  assert.equal(results.attemptHistory.t1.length, 1);
+  assert.equal(events.at(-1).type, 'batch_stopped');
+  assert.equal(events.at(-1).reason, 'cancelled');
+});
+
+test('wait: resolves at once when the signal is already aborted', async () => {
+  const controller = new AbortController();
+  controller.abort();
+
+  const started = Date.now();
+  await worker.wait(60000, controller.signal);
+
+  assert.ok(Date.now() - started < 1000);
+});